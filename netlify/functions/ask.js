@@ -1,101 +1,97 @@
 const { createClient } = require('@supabase/supabase-js');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const OpenAI = require('openai');
+const { calculateReferralDeadline } = require('./utils/deadlines');
+const { generateJSON } = require('./utils/llm');
+const { createRedactor } = require('./utils/redaction');
+const { evidenceExcerpts } = require('./utils/evidence');
+const { getSettings } = require('./utils/settings');
+const { retrieveAuthorities, citedSources } = require('./utils/retrieval');
+const { getFlowVersion, getPublishedFlow, pickFlowFacts } = require('./utils/intake_flow');
+const { findSession } = require('./utils/intake_session');
+const { normalizeLanguage, languageName, closingMessage, followUpMessage, translateAnswersToEnglish } = require('./utils/languages');
+const { MAX_QUESTION_CHARS, MAX_QUESTIONS_PER_CASE, answerFollowUp } = require('./utils/follow_up');
+const { createInvoiceForCase } = require('./utils/payments');
+const { TEMPLATES, getPublishedTemplate, renderTemplate, evaluationVariables } = require('./utils/prompt_templates');
 
 // Load environment variables
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_KEY = process.env.SUPABASE_KEY; // Make sure this is your service_role key in Netlify!
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 
 // Initialize Clients
 const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-const openai = OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY }) : null;
 
 exports.handler = async (event, context) => {
     if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
 
     try {
         const body = JSON.parse(event.body);
-        const action = body.action; // Expects "evaluate" or "close"
+        const action = body.action; // Expects "evaluate", "question" or "close"
 
         // ==========================================
         // ACTION 1: EVALUATE & PITCH
         // ==========================================
         if (action === "evaluate") {
-            const facts = body.facts;
-            
-            // 1. Build a search query based on what they told us
-            const searchQuery = `${facts.incident_description || ''} ${facts.sector || ''} unfair dismissal labour practice`;
-            
-            // 2. Search Database (RAG) using Gemini Embeddings
-            const embeddingModel = genAI.getGenerativeModel({ model: "models/gemini-embedding-001" });
-            const embeddingResult = await embeddingModel.embedContent(searchQuery);
+            const language = normalizeLanguage(body.language);
+
+            // A resumed client who already got their assessment just sees it again
+            const session = await findSession(supabase, body.session_token);
+            if (session && session.status !== 'in_progress' && session.result) {
+                return {
+                    statusCode: 200,
+                    headers: { "Content-Type": "application/json" },
+                    body: JSON.stringify({ ...session.result, caseId: session.case_id })
+                };
+            }
             
-            const { data: chunks } = await supabase.rpc('hybrid_search', {
-                query_text: searchQuery,
-                query_embedding: embeddingResult.embedding.values,
-                match_count: 5, 
-                full_text_weight: 1.0, 
-                semantic_weight: 2.0, 
-                rrf_k: 50
-            });
-            const contextText = chunks ? chunks.map(c => c.content).join("\n\n") : "No specific case law found.";
+            // 1. Check Admin Settings for the Active LLM and model names
+            const settings = await getSettings(supabase);
 
-            // 3. Check Admin Settings for Active LLM
-            const { data: settingData } = await supabase.from('system_settings').select('setting_value').eq('setting_name', 'active_llm').single();
-            const activeLLM = settingData ? settingData.setting_value : 'gemini';
+            // 2. Resolve the flow version the client answered, then bring free-text answers into English
+            // (the legal team, the search and the letter all work in English; the originals are kept).
+            // Names and contact details are swapped for placeholders before anything goes to the LLM (POPIA).
+            const flow = (await getFlowVersion(supabase, body.flow_version)) || (await getPublishedFlow(supabase));
+            const redactor = createRedactor(body.facts || {});
+            const { facts, originals } = await translateAnswersToEnglish({ flow: flow.definition, facts: body.facts || {}, language, settings, redactor });
 
-            // 4. Create the Evaluation Prompt (Actual Merit Assessment)
-            const prompt = `
-            You are Justine, a highly knowledgeable South African Labour Law Assistant. 
-            Review these collected facts and the legal context, then return a JSON object evaluating the case.
-            
-            FACTS:
-            ${JSON.stringify(facts, null, 2)}
-            
-            LEGAL CONTEXT:
-            ${contextText}
-            
-            CRITICAL DEFINITION OF "MERIT":
-            - "High/Medium Merit" means the EMPLOYEE (the user) has a strong claim because the employer acted unfairly (e.g., no disciplinary hearing was held, or the reason for dismissal was too harsh for the offense, like being late once).
-            - "Low Merit" means the employer likely acted fairly and lawfully, and the employee does not have a strong claim.
-
-            INSTRUCTIONS:
-            1. Assess the merits of the case for the EMPLOYEE based on the definition above.
-            2. If the case has High/Medium merit, write a 'pitch' validating their experience, telling them the law is on their side, and offering to draft a Demand Letter for a small fixed fee. End by asking: "Would you like our legal team to draft this letter for you?"
-            3. If the case has Low merit (NO merit), write a 'pitch' politely explaining why the law might not support them based on the context. Do NOT offer the demand letter, and DO NOT ask any questions at the end (e.g., do not ask "Would you like us to review it?"), because the chat interface will only provide an "Okay, thank you" button to close the conversation.
-            
-            RETURN ONLY A JSON OBJECT WITH THIS EXACT STRUCTURE:
-            {
-              "merit_assessment": "High", "Medium", or "Low",
-              "legal_reasoning": "Markdown bullet points explaining your assessment.",
-              "pitch": "Your warm, conversational response to the user."
-            }
-            `;
-
-            let aiResponse = null;
-
-            // 5. Ask the chosen LLM to evaluate and generate the pitch
-            if (activeLLM === 'openai' && openai) {
-                const completion = await openai.chat.completions.create({
-                    model: "gpt-4o-mini",
-                    messages: [
-                        { role: "system", content: "You are a legal JSON processor. Always return strictly formatted JSON." },
-                        { role: "user", content: prompt }
-                    ],
-                    response_format: { type: "json_object" }
-                });
-                aiResponse = JSON.parse(completion.choices[0].message.content);
-            } else {
-                const jsonModel = genAI.getGenerativeModel({ model: "gemini-2.0-flash", generationConfig: { responseMimeType: "application/json" } });
-                const result = await jsonModel.generateContent(prompt);
-                aiResponse = JSON.parse(result.response.text().replace(/```json/g, '').replace(/```/g, '').trim());
-            }
+            // 3. Build a search query based on what they told us
+            const searchQuery = redactor.redact(`${facts.incident_description || ''} ${facts.sector || ''} unfair dismissal labour practice`);
+
+            // 4. Search Database (RAG) using Gemini Embeddings. Each chunk is tagged [S1], [S2], ... for citation.
+            const { sources, contextText } = await retrieveAuthorities(supabase, searchQuery, settings);
+
+            // ...and the documents the client uploaded during the intake, excerpted around the parts that matter (tagged [D1], [D2], ...)
+            const evidence = await evidenceExcerpts(supabase, session && session.case_id, facts);
+
+            // 5. Work out the CCMA referral clock before asking the LLM, so the pitch can warn about it
+            const referralDeadline = calculateReferralDeadline(facts);
+
+            // 6. Fill in the published evaluation template (Actual Merit Assessment; admins edit it in the prompt editor)
+            const template = await getPublishedTemplate(supabase, 'evaluate');
+            const prompt = renderTemplate(template.body, evaluationVariables({
+                facts,
+                contextText,
+                evidenceText: evidence.contextText,
+                deadline: referralDeadline,
+                language: languageName(language)
+            }), facts);
+
+            // 7. Ask the chosen LLM (with schema validation and provider failover) to evaluate and generate the pitch
+            const evaluation = await generateJSON({
+                task: 'evaluate',
+                prompt,
+                schema: TEMPLATES.evaluate.schema,
+                system: TEMPLATES.evaluate.system,
+                settings,
+                redactor
+            });
+            const aiResponse = evaluation.data;
+
+            // Keep any extra answers the intake flow version collects (e.g. new retrenchment questions).
+            // Only keys the flow actually declares are accepted, so the client cannot inject system fields.
+            const flowFacts = pickFlowFacts(flow.definition, facts);
 
             // Force standard formatting of facts so the Admin panel ALWAYS sees them
             const coreFacts = {
+                ...flowFacts,
                 client_name: facts.client_name || null,
                 contact_info: facts.contact_info || null,
                 employer_name: facts.employer_name || null,
@@ -108,24 +104,42 @@ exports.handler = async (event, context) => {
                 contract_type: facts.contract_type || null,
                 wants_letter: null, // Always initialize so it shows in Admin dropdowns
                 merit_assessment: aiResponse.merit_assessment || 'Unknown',
-                legal_reasoning: aiResponse.legal_reasoning || 'No reasoning provided.'
+                legal_reasoning: aiResponse.legal_reasoning || 'No reasoning provided.',
+                referral_deadline: referralDeadline,
+                legal_sources: citedSources(sources, aiResponse.sources_relied_on),
+                ai_meta: { provider: evaluation.provider, model: evaluation.model, attempts: evaluation.attempts, evidence_files: evidence.files.length },
+                preferred_language: languageName(language),
+                original_answers: Object.keys(originals).length ? { language, answers: originals } : null
             };
 
-            // 6. Save the new case to the Database
+            // 8. Save the case to the Database (promoting the "incomplete" row if the intake was saved step by step)
             const dbPayload = {
                 client_name: facts.client_name,
                 contact_info: facts.contact_info,
                 issue_summary: facts.incident_description || 'Gathered via automated intake.',
                 case_facts: coreFacts,
+                flow_version: flow.version,
+                evaluation_prompt_version: template.version,
                 status: 'new'
             };
 
-            const { data: newCase, error: dbErr } = await supabase.from('cases').insert(dbPayload).select().single();
+            const { data: newCase, error: dbErr } = session
+                ? await supabase.from('cases').update({ ...dbPayload, updated_at: new Date().toISOString() }).eq('id', session.case_id).select().single()
+                : await supabase.from('cases').insert(dbPayload).select().single();
             
             if (dbErr) throw new Error("Database save failed: " + dbErr.message);
 
             const hasMerit = aiResponse.merit_assessment !== "Low";
 
+            if (session) {
+                await supabase.from('intake_sessions').update({
+                    status: 'evaluated',
+                    facts: pickFlowFacts(flow.definition, body.facts), // as the client typed them
+                    result: { pitch: aiResponse.pitch, hasMerit },
+                    updated_at: new Date().toISOString()
+                }).eq('id', session.id);
+            }
+
             return {
                 statusCode: 200,
                 headers: { "Content-Type": "application/json" },
@@ -138,10 +152,69 @@ exports.handler = async (event, context) => {
         }
 
         // ==========================================
-        // ACTION 2: CLOSE THE CASE (User clicked Yes/No)
+        // ACTION 2: FOLLOW-UP QUESTION (between the pitch and the Yes/No decision)
+        // ==========================================
+        if (action === "question") {
+            const { caseId } = body;
+            const language = normalizeLanguage(body.language);
+            const question = String(body.question || '').trim();
+            if (!caseId || !question) return { statusCode: 400, body: JSON.stringify({ error: 'Case ID and question required' }) };
+            if (question.length > MAX_QUESTION_CHARS) return { statusCode: 400, body: JSON.stringify({ error: `Please keep your question under ${MAX_QUESTION_CHARS} characters.` }) };
+
+            const { data: caseRow } = await supabase.from('cases').select('id, status, case_facts').eq('id', caseId).single();
+            if (!caseRow) return { statusCode: 404, body: JSON.stringify({ error: 'Case not found' }) };
+
+            // This endpoint is public, so a case with a saved session only answers the browser holding its token
+            const { data: sessions } = await supabase.from('intake_sessions').select('id').eq('case_id', caseId).limit(1);
+            if (sessions && sessions.length) {
+                const session = await findSession(supabase, body.session_token);
+                if (!session || session.case_id !== caseId) return { statusCode: 403, body: JSON.stringify({ error: 'This conversation belongs to another session.' }) };
+            }
+
+            // Questions are only open until the client makes their decision
+            const facts = caseRow.case_facts || {};
+            if (caseRow.status !== 'new' || (facts.wants_letter !== null && facts.wants_letter !== undefined)) {
+                return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ answer: followUpMessage(language, 'closed'), scope: 'closed', sources: [] }) };
+            }
+
+            const { data: history, error: historyErr } = await supabase.from('case_questions').select('question, answer').eq('case_id', caseId).order('created_at', { ascending: true });
+            if (historyErr) throw historyErr;
+            if (history.length >= MAX_QUESTIONS_PER_CASE) {
+                return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ answer: followUpMessage(language, 'limit'), scope: 'limit', sources: [] }) };
+            }
+
+            const settings = await getSettings(supabase);
+            const reply = await answerFollowUp({ supabase, facts, question, language, history, settings });
+
+            // Keep the exchange on the case for the attorney
+            const { error: saveErr } = await supabase.from('case_questions').insert({
+                case_id: caseId,
+                question,
+                answer: reply.answer,
+                scope: reply.scope,
+                sources: reply.sources,
+                language,
+                ai_meta: { provider: reply.provider, model: reply.model }
+            });
+            if (saveErr) console.error("Question Save Error:", saveErr);
+
+            return {
+                statusCode: 200,
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({
+                    answer: reply.answer,
+                    scope: reply.scope,
+                    sources: reply.sources.map(s => ({ ref: s.ref, title: s.title, citation: s.citation, section: s.section }))
+                })
+            };
+        }
+
+        // ==========================================
+        // ACTION 3: CLOSE THE CASE (User clicked Yes/No)
         // ==========================================
         if (action === "close") {
             const { caseId, wants_letter } = body;
+            const language = normalizeLanguage(body.language);
             
             // 1. Update the database with their final decision
             const updatePayload = {
@@ -154,17 +227,29 @@ exports.handler = async (event, context) => {
             }
 
             // Fetch existing facts so we can inject the wants_letter boolean safely
-            const { data: existingCase } = await supabase.from('cases').select('case_facts').eq('id', caseId).single();
+            const { data: existingCase } = await supabase.from('cases').select('id, client_name, case_facts').eq('id', caseId).single();
             if (existingCase && existingCase.case_facts) {
                 updatePayload.case_facts = { ...existingCase.case_facts, wants_letter: wants_letter };
             }
 
             await supabase.from('cases').update(updatePayload).eq('id', caseId);
 
+            // Open the fixed-fee invoice now; the payment link is sent to the client once the letter is approved.
+            // A payments hiccup must not cost us the client, so the admin can create the invoice later instead.
+            if (wants_letter && existingCase) {
+                try {
+                    await createInvoiceForCase(supabase, existingCase, await getSettings(supabase));
+                } catch (err) {
+                    console.error("Invoice Error:", err);
+                }
+            }
+
+            // The conversation is over, so the resume token stops working
+            const session = await findSession(supabase, body.session_token);
+            if (session) await supabase.from('intake_sessions').update({ status: 'closed', updated_at: new Date().toISOString() }).eq('id', session.id);
+
             // 2. Return the final message
-            let closingMsg = wants_letter 
-                ? "Excellent. I have officially sent your file to our legal team! They will review the details and email you a secure payment link as soon as your letter is ready to be dispatched. We've got your back!" 
-                : "No problem at all! I have saved your file. If you change your mind, just reach out to us again. Wishing you the best of luck!";
+            const closingMsg = closingMessage(language, wants_letter);
 
             return {
                 statusCode: 200,
@@ -0,0 +1,30 @@
+const { createClient } = require('@supabase/supabase-js');
+const { authenticate } = require('./utils/auth');
+const { listEvidence } = require('./utils/evidence');
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_KEY;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+exports.handler = async (event, context) => {
+    if (event.httpMethod !== 'GET') return { statusCode: 405, body: 'Method Not Allowed' };
+
+    // --- SECURITY CHECK (Verify the session and staff role) ---
+    const { errorResponse } = await authenticate(event, 'view_cases');
+    if (errorResponse) return errorResponse;
+    // ------------------------------------------------
+
+    try {
+        // The documents the client uploaded for a case, each with a short-lived link to view it
+        const caseId = (event.queryStringParameters || {}).caseId;
+        if (!caseId) return { statusCode: 400, body: JSON.stringify({ error: 'Case ID required' }) };
+
+        const evidence = await listEvidence(supabase, caseId);
+        return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify(evidence) };
+
+    } catch (error) {
+        console.error("Case Evidence Error:", error);
+        return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+    }
+};
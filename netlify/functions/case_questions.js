@@ -0,0 +1,31 @@
+const { createClient } = require('@supabase/supabase-js');
+const { authenticate } = require('./utils/auth');
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_KEY;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+exports.handler = async (event, context) => {
+    if (event.httpMethod !== 'GET') return { statusCode: 405, body: 'Method Not Allowed' };
+
+    // --- SECURITY CHECK (Verify the session and staff role) ---
+    const { errorResponse } = await authenticate(event, 'view_cases');
+    if (errorResponse) return errorResponse;
+    // ------------------------------------------------
+
+    try {
+        // The client's follow-up questions for a case, in the order they were asked
+        const caseId = (event.queryStringParameters || {}).caseId;
+        if (!caseId) return { statusCode: 400, body: JSON.stringify({ error: 'Case ID required' }) };
+
+        const { data, error } = await supabase.from('case_questions').select('*').eq('case_id', caseId).order('created_at', { ascending: true });
+        if (error) throw error;
+
+        return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify(data || []) };
+
+    } catch (error) {
+        console.error("Case Questions Error:", error);
+        return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+    }
+};
@@ -0,0 +1,120 @@
+const { createClient } = require('@supabase/supabase-js');
+const { authenticate } = require('./utils/auth');
+const { getSettings } = require('./utils/settings');
+const {
+    findSubjectCases, collectSubjectData, buildExportZip, eraseCases, anonymiseCases,
+    retentionDays, purgeDeclinedCases, logRequest
+} = require('./utils/data_subject');
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_KEY;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+const MAX_CASES_PER_REQUEST = 50;
+
+exports.handler = async (event, context) => {
+    // --- SECURITY CHECK (Verify the session and staff role) ---
+    const { user, errorResponse } = await authenticate(event, 'manage_data_subjects');
+    if (errorResponse) return errorResponse;
+    // ------------------------------------------------
+
+    try {
+        // ==========================================
+        // GET: RECENT REQUESTS (audit log) AND THE RETENTION PERIOD
+        // ==========================================
+        if (event.httpMethod === 'GET') {
+            const { data: requests, error } = await supabase.from('data_subject_requests').select('*').order('created_at', { ascending: false }).limit(50);
+            if (error) throw error;
+            const settings = await getSettings(supabase);
+            return {
+                statusCode: 200,
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ requests: requests || [], declined_retention_days: retentionDays(settings) })
+            };
+        }
+
+        if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
+
+        const body = JSON.parse(event.body);
+        const action = body.action; // Expects "search", "export", "erase", "anonymise" or "purge"
+
+        // ==========================================
+        // ACTION 1: FIND A DATA SUBJECT'S CASES
+        // ==========================================
+        if (action === "search") {
+            const cases = await findSubjectCases(supabase, body.query);
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ cases }) };
+        }
+
+        // ==========================================
+        // ACTION 2: RUN THE RETENTION PURGE NOW (also runs daily, see retention_purge.js)
+        // ==========================================
+        if (action === "purge") {
+            const settings = await getSettings(supabase);
+            const { erased, anonymised } = await purgeDeclinedCases(supabase, settings);
+            if (erased.length || anonymised.length) {
+                await logRequest(supabase, { action: 'retention_purge', caseIds: [...erased, ...anonymised], actor: user, details: { retention_days: retentionDays(settings), anonymised } });
+            }
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ success: true, purged: erased.length, anonymised: anonymised.length }) };
+        }
+
+        // Everything below works on a set of cases picked from the search
+        const caseIds = Array.isArray(body.caseIds) ? body.caseIds.filter(id => typeof id === 'string') : [];
+        if (caseIds.length === 0) return { statusCode: 400, body: JSON.stringify({ error: 'Select at least one case' }) };
+        if (caseIds.length > MAX_CASES_PER_REQUEST) return { statusCode: 400, body: JSON.stringify({ error: `At most ${MAX_CASES_PER_REQUEST} cases per request` }) };
+
+        // ==========================================
+        // ACTION 3: EXPORT EVERYTHING HELD (JSON or ZIP, returned as a file download)
+        // ==========================================
+        if (action === "export") {
+            const format = body.format === 'zip' ? 'zip' : 'json';
+            const bundle = await collectSubjectData(supabase, caseIds);
+            if (bundle.cases.length === 0) return { statusCode: 404, body: JSON.stringify({ error: 'Case not found' }) };
+
+            await logRequest(supabase, { action: 'export', caseIds, actor: user, details: { format } });
+
+            const stamp = bundle.generated_at.slice(0, 10);
+            const file = format === 'zip'
+                ? { buffer: await buildExportZip(supabase, bundle), type: 'application/zip', name: `personal-information-${stamp}.zip` }
+                : { buffer: Buffer.from(JSON.stringify(bundle, null, 2)), type: 'application/json', name: `personal-information-${stamp}.json` };
+
+            return {
+                statusCode: 200,
+                headers: {
+                    "Content-Type": file.type,
+                    "Content-Disposition": `attachment; filename="${file.name}"`
+                },
+                body: file.buffer.toString('base64'),
+                isBase64Encoded: true
+            };
+        }
+
+        // ==========================================
+        // ACTION 4: ERASE (delete outright)
+        // ==========================================
+        if (action === "erase") {
+            const result = await eraseCases(supabase, caseIds);
+            if (result.blocked) {
+                return { statusCode: 409, body: JSON.stringify({ error: `${result.blocked.length} case(s) have a paid invoice, which must be kept for the firm's financial records. Anonymise them instead.`, blocked: result.blocked }) };
+            }
+            await logRequest(supabase, { action: 'erase', caseIds: result.erased, actor: user, details: { reason: body.reason || null } });
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ success: true, erased: result.erased.length }) };
+        }
+
+        // ==========================================
+        // ACTION 5: ANONYMISE (keep the case for statistics, drop who it was about)
+        // ==========================================
+        if (action === "anonymise") {
+            const result = await anonymiseCases(supabase, caseIds);
+            await logRequest(supabase, { action: 'anonymise', caseIds: result.anonymised, actor: user, details: { reason: body.reason || null } });
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ success: true, anonymised: result.anonymised.length }) };
+        }
+
+        return { statusCode: 400, body: JSON.stringify({ error: "Invalid action" }) };
+
+    } catch (error) {
+        console.error("Data Subjects Error:", error);
+        return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+    }
+};
@@ -0,0 +1,174 @@
+const { createClient } = require('@supabase/supabase-js');
+const { firmLetterhead, renderLetterPdf, stripLetterhead } = require('./utils/letter_export');
+const { getSettings } = require('./utils/settings');
+const { authenticate, can, forbidden } = require('./utils/auth');
+const { isPaymentCleared } = require('./utils/payments');
+const { extractEmail, sendMail } = require('./utils/mailer');
+const { sendMessage, guessChannel } = require('./utils/messaging');
+const { EMPLOYER_RESPONSE_DAYS, calculateResponseWindow } = require('./utils/deadlines');
+const { isLetterApproved, recordRevision } = require('./utils/letter_revisions');
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_KEY;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+function withResponseWindow(dispatch) {
+    return { ...dispatch, response_window: dispatch.status === 'failed' ? null : calculateResponseWindow(dispatch.sent_at, dispatch.responded_at) };
+}
+
+exports.handler = async (event, context) => {
+    // --- SECURITY CHECK (Verify the session and staff role) ---
+    const { user, role, errorResponse } = await authenticate(event, 'view_cases');
+    if (errorResponse) return errorResponse;
+    // ------------------------------------------------
+
+    try {
+        // ==========================================
+        // GET: EVERY DISPATCH OF A CASE'S LETTER (newest first)
+        // ==========================================
+        if (event.httpMethod === 'GET') {
+            const caseId = (event.queryStringParameters || {}).caseId;
+            if (!caseId) return { statusCode: 400, body: JSON.stringify({ error: 'Case ID required' }) };
+
+            const { data, error } = await supabase.from('letter_dispatches').select('*').eq('case_id', caseId).order('created_at', { ascending: false });
+            if (error) throw error;
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify((data || []).map(withResponseWindow)) };
+        }
+
+        if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
+        if (!can(role, 'dispatch_letters')) return forbidden('Only admins and attorneys can send letters to employers');
+
+        const body = JSON.parse(event.body);
+        const action = body.action; // Expects "send", "mark_delivered" or "record_response"
+
+        // ==========================================
+        // ACTION 1: EMAIL THE APPROVED LETTER TO THE EMPLOYER (CLIENT COPIED)
+        // ==========================================
+        if (action === "send") {
+            // 1. Only an approved, paid-for letter may leave the firm
+            const { data: caseData } = await supabase.from('cases').select('id, client_name, contact_info, draft_letter, letter_status, case_facts').eq('id', body.caseId).single();
+            if (!caseData) return { statusCode: 404, body: JSON.stringify({ error: 'Case not found' }) };
+            if (!isLetterApproved(caseData.letter_status) || !caseData.draft_letter) {
+                return { statusCode: 409, body: JSON.stringify({ error: 'Only approved letters can be sent.' }) };
+            }
+
+            // Every send emails the employer and restarts their response clock, so a second one must be asked for
+            const { data: previous, error: prevErr } = await supabase.from('letter_dispatches').select('id, sent_at').eq('case_id', caseData.id).neq('status', 'failed').order('created_at', { ascending: false }).limit(1);
+            if (prevErr) throw prevErr;
+            if (previous && previous.length && !body.resend) {
+                return { statusCode: 409, body: JSON.stringify({ error: 'This letter has already been sent to the employer.', already_sent: true, sent_at: previous[0].sent_at }) };
+            }
+            if (!(await isPaymentCleared(supabase, caseData.id))) {
+                return { statusCode: 402, body: JSON.stringify({ error: 'The client has not paid for this letter yet, so it cannot be sent.' }) };
+            }
+
+            // 2. Work out who gets it. Staff may correct the employer address the client gave us.
+            const facts = caseData.case_facts || {};
+            const recipient = (body.to || '').trim() || extractEmail(facts.employer_contact_details);
+            if (!recipient) {
+                return { statusCode: 400, body: JSON.stringify({ error: 'No employer email address on file. Enter one to send the letter.' }) };
+            }
+            const clientContact = caseData.contact_info || facts.contact_info;
+            const clientEmail = extractEmail(clientContact);
+
+            // 3. Render the letter on the letterhead, exactly as the PDF export does
+            const settings = await getSettings(supabase);
+            const firm = firmLetterhead(settings);
+            const pdf = await renderLetterPdf(stripLetterhead(caseData.draft_letter, firm), firm);
+            const safeName = (caseData.client_name || 'client').replace(/[^a-z0-9]+/gi, '_').replace(/^_|_$/g, '');
+            const attachmentName = `Demand_Letter_${safeName}.pdf`;
+
+            const subject = `Without Prejudice: Demand on behalf of ${caseData.client_name || 'our client'}`;
+            const text = `Dear Sir/Madam,\n\nPlease find attached a letter of demand on behalf of our client, ${caseData.client_name || 'your employee'}${facts.employer_name ? `, addressed to ${facts.employer_name}` : ''}.\n\nWe look forward to your response within ${EMPLOYER_RESPONSE_DAYS} days.\n\nYours faithfully,\n${firm.name}\n${firm.contact}`;
+
+            // 4. Send it. A failed send is recorded too, so the attempt shows up in the case history.
+            const dispatch = {
+                case_id: caseData.id,
+                recipient,
+                cc: clientEmail ? [clientEmail] : [],
+                subject,
+                letter_text: caseData.draft_letter,
+                attachment_name: attachmentName,
+                sent_by: user.id,
+                sent_by_email: user.email
+            };
+            let sendError = null;
+            try {
+                const result = await sendMail({ to: recipient, cc: dispatch.cc, subject, text, attachments: [{ filename: attachmentName, contentType: 'application/pdf', content: pdf }] });
+                const now = new Date();
+                Object.assign(dispatch, {
+                    transport: result.transport,
+                    message_id: result.messageId,
+                    status: result.status,
+                    sent_at: now.toISOString(),
+                    delivered_at: result.status === 'delivered' ? now.toISOString() : null,
+                    response_due_date: calculateResponseWindow(now.toISOString(), null).due_date
+                });
+            } catch (err) {
+                console.error("Mail Error:", err);
+                sendError = err.message;
+                Object.assign(dispatch, { transport: process.env.MAIL_TRANSPORT || 'smtp', status: 'failed', error: err.message });
+            }
+
+            const { data: saved, error: saveErr } = await supabase.from('letter_dispatches').insert(dispatch).select().single();
+            if (saveErr) throw new Error("Database save failed: " + saveErr.message);
+            if (sendError) return { statusCode: 502, body: JSON.stringify({ error: `The letter could not be sent: ${sendError}` }) };
+
+            // The case and its letter history record that this text went to the employer
+            const { error: statusErr } = await supabase.from('cases').update({ letter_status: 'sent', updated_at: new Date().toISOString() }).eq('id', caseData.id);
+            if (statusErr) throw new Error("Database save failed: " + statusErr.message);
+            await recordRevision(supabase, { caseId: caseData.id, action: 'sent', letterText: caseData.draft_letter, letterStatus: 'sent', user });
+
+            // 5. Clients who gave a phone number instead of an email get a text so they know it went out
+            let clientNotified = !!clientEmail;
+            if (!clientEmail && clientContact) {
+                try {
+                    await sendMessage({
+                        channel: guessChannel(clientContact),
+                        to: clientContact,
+                        body: `Hi${caseData.client_name ? ` ${caseData.client_name}` : ''}, this is Justine. Your demand letter was sent to ${facts.employer_name || 'your employer'} today. They have until ${saved.response_due_date} to respond, and we will be in touch about the next steps.`
+                    });
+                    clientNotified = true;
+                } catch (err) {
+                    console.error("Client Notification Error:", err);
+                }
+            }
+
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ success: true, dispatch: withResponseWindow(saved), client_notified: clientNotified }) };
+        }
+
+        const { data: dispatch } = await supabase.from('letter_dispatches').select('*').eq('id', body.dispatchId).single();
+        if (!dispatch) return { statusCode: 404, body: JSON.stringify({ error: 'Dispatch not found' }) };
+        if (dispatch.status === 'failed') return { statusCode: 409, body: JSON.stringify({ error: 'This letter was never sent.' }) };
+        const now = new Date().toISOString();
+
+        // ==========================================
+        // ACTION 2: CONFIRM DELIVERY (read receipt, employer acknowledgement, bounce-free relay report)
+        // ==========================================
+        if (action === "mark_delivered") {
+            const { data: updated, error } = await supabase.from('letter_dispatches')
+                .update({ status: 'delivered', delivered_at: dispatch.delivered_at || now, updated_at: now })
+                .eq('id', dispatch.id).select().single();
+            if (error) throw new Error("Database save failed: " + error.message);
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ success: true, dispatch: withResponseWindow(updated) }) };
+        }
+
+        // ==========================================
+        // ACTION 3: RECORD THE EMPLOYER'S RESPONSE (stops the response clock)
+        // ==========================================
+        if (action === "record_response") {
+            const { data: updated, error } = await supabase.from('letter_dispatches')
+                .update({ responded_at: dispatch.responded_at || now, response_notes: body.notes || null, updated_at: now })
+                .eq('id', dispatch.id).select().single();
+            if (error) throw new Error("Database save failed: " + error.message);
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ success: true, dispatch: withResponseWindow(updated) }) };
+        }
+
+        return { statusCode: 400, body: JSON.stringify({ error: "Invalid action" }) };
+
+    } catch (error) {
+        console.error("Dispatch Error:", error);
+        return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+    }
+};
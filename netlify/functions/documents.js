@@ -0,0 +1,96 @@
+const { createClient } = require('@supabase/supabase-js');
+const { authenticate, can, forbidden } = require('./utils/auth');
+const { listDocumentTypes } = require('./utils/document_types');
+const { calculateReferralDeadline, calculateResponseWindow } = require('./utils/deadlines');
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_KEY;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+exports.handler = async (event, context) => {
+    // --- SECURITY CHECK (Verify the session and staff role) ---
+    const { user, role, errorResponse } = await authenticate(event, event.httpMethod === 'GET' ? 'view_cases' : 'draft_letters');
+    if (errorResponse) return errorResponse;
+    // ------------------------------------------------
+
+    try {
+        // ==========================================
+        // GET: THE CATALOGUE FOR A CASE, PLUS ITS DOCUMENTS (newest first)
+        // ==========================================
+        if (event.httpMethod === 'GET') {
+            const caseId = (event.queryStringParameters || {}).caseId;
+            if (!caseId) return { statusCode: 400, body: JSON.stringify({ error: 'Case ID required' }) };
+
+            const { data: caseData } = await supabase.from('cases').select('case_facts').eq('id', caseId).single();
+            if (!caseData) return { statusCode: 404, body: JSON.stringify({ error: 'Case not found' }) };
+            const facts = caseData.case_facts || {};
+
+            // Some types are suggested off the referral clock or an unanswered demand letter
+            const { data: dispatches } = await supabase.from('letter_dispatches').select('sent_at, responded_at').eq('case_id', caseId).neq('status', 'failed').order('created_at', { ascending: false }).limit(1);
+            const latest = dispatches && dispatches[0];
+            const types = listDocumentTypes(facts, {
+                deadline: calculateReferralDeadline(facts),
+                dispatch: latest ? { response_window: calculateResponseWindow(latest.sent_at, latest.responded_at) } : null
+            });
+
+            const { data: documents, error } = await supabase.from('case_documents').select('*').eq('case_id', caseId).order('created_at', { ascending: false });
+            if (error) throw error;
+
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ types, documents: documents || [] }) };
+        }
+
+        if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
+
+        const body = JSON.parse(event.body);
+        const action = body.action; // Expects "update" or "delete"
+
+        const { data: document } = await supabase.from('case_documents').select('*').eq('id', body.documentId).single();
+        if (!document) return { statusCode: 404, body: JSON.stringify({ error: 'Document not found' }) };
+
+        // ==========================================
+        // ACTION 1: EDIT AND/OR APPROVE A DOCUMENT
+        // ==========================================
+        if (action === "update") {
+            const updatePayload = { updated_at: new Date().toISOString() };
+            if (body.content !== undefined) updatePayload.content = body.content;
+            if (body.status !== undefined) {
+                if (!['pending_review', 'approved'].includes(body.status)) return { statusCode: 400, body: JSON.stringify({ error: 'Status must be "pending_review" or "approved"' }) };
+                updatePayload.status = body.status;
+            }
+
+            // Same rule as the demand letter: approving, or changing an approved document, is for an attorney or admin
+            const resultingStatus = updatePayload.status || document.status;
+            const changesApproved = resultingStatus === 'approved' && (document.status !== 'approved' || (body.content !== undefined && body.content !== document.content));
+            if (changesApproved && !can(role, 'approve_letters')) return forbidden('Only attorneys and admins can approve documents');
+
+            if (updatePayload.status === 'approved' && document.status !== 'approved') {
+                updatePayload.approved_by = user.id;
+                updatePayload.approved_at = updatePayload.updated_at;
+            } else if (updatePayload.status === 'pending_review') {
+                updatePayload.approved_by = null;
+                updatePayload.approved_at = null;
+            }
+
+            const { data: updated, error } = await supabase.from('case_documents').update(updatePayload).eq('id', document.id).select().single();
+            if (error) throw new Error("Database save failed: " + error.message);
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ success: true, document: updated }) };
+        }
+
+        // ==========================================
+        // ACTION 2: DELETE A DRAFT
+        // ==========================================
+        if (action === "delete") {
+            if (document.status === 'approved' && !can(role, 'approve_letters')) return forbidden('Only attorneys and admins can delete approved documents');
+            const { error } = await supabase.from('case_documents').delete().eq('id', document.id);
+            if (error) throw error;
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ success: true }) };
+        }
+
+        return { statusCode: 400, body: JSON.stringify({ error: "Invalid action" }) };
+
+    } catch (error) {
+        console.error("Documents Error:", error);
+        return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+    }
+};
@@ -0,0 +1,80 @@
+const { createClient } = require('@supabase/supabase-js');
+const { firmLetterhead, renderLetterPdf, renderLetterDocx, stripLetterhead } = require('./utils/letter_export');
+const { getSettings } = require('./utils/settings');
+const { authenticate } = require('./utils/auth');
+const { isPaymentCleared } = require('./utils/payments');
+const { getDocumentType } = require('./utils/document_types');
+const { isLetterApproved } = require('./utils/letter_revisions');
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_KEY;
+
+// Invoices and documents are service-role only, so they cannot be read with the user's client
+const serviceClient = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+const FORMATS = {
+    pdf: { contentType: 'application/pdf', render: renderLetterPdf },
+    docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', render: renderLetterDocx }
+};
+
+exports.handler = async (event, context) => {
+    if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
+
+    // --- SECURITY CHECK (Verify the session and staff role) ---
+    const { client: supabase, errorResponse } = await authenticate(event, 'export_letters');
+    if (errorResponse) return errorResponse;
+    // ------------------------------------------------
+
+    try {
+        const { caseId, documentId, format } = JSON.parse(event.body);
+        if (!caseId) return { statusCode: 400, body: JSON.stringify({ error: 'Case ID required' }) };
+        if (!FORMATS[format]) return { statusCode: 400, body: JSON.stringify({ error: 'Format must be "pdf" or "docx"' }) };
+
+        // 1. Fetch the letter. Only approved letters may leave the building.
+        const { data: caseData, error: caseErr } = await supabase.from('cases').select('client_name, draft_letter, letter_status').eq('id', caseId).single();
+        if (caseErr || !caseData) throw new Error("Case not found");
+
+        let text, type;
+        if (documentId) {
+            // A catalogue document (grievance, LRA 7.11 ...) rather than the demand letter
+            const { data: document } = await serviceClient.from('case_documents').select('*').eq('id', documentId).eq('case_id', caseId).single();
+            if (!document) return { statusCode: 404, body: JSON.stringify({ error: 'Document not found' }) };
+            if (document.status !== 'approved') return { statusCode: 409, body: JSON.stringify({ error: 'Only approved documents can be exported.' }) };
+            text = document.content;
+            type = getDocumentType(document.doc_type) || { label: document.title, heading: null };
+        } else {
+            if (!isLetterApproved(caseData.letter_status) || !caseData.draft_letter) {
+                return { statusCode: 409, body: JSON.stringify({ error: 'Only approved letters can be exported.' }) };
+            }
+            if (!(await isPaymentCleared(serviceClient, caseId))) {
+                return { statusCode: 402, body: JSON.stringify({ error: 'The client has not paid for this letter yet, so it cannot be released.' }) };
+            }
+            text = caseData.draft_letter;
+            type = getDocumentType('demand_letter');
+        }
+
+        // 2. Fetch the Firm letterhead settings
+        const firm = firmLetterhead(await getSettings(supabase));
+
+        // 3. Render the document
+        const letterText = stripLetterhead(text, firm);
+        const fileBuffer = await FORMATS[format].render(letterText, firm, type.heading);
+
+        const toFileName = value => String(value).replace(/[^a-z0-9]+/gi, '_').replace(/^_|_$/g, '');
+        const fileName = `${documentId ? toFileName(type.label) : 'Demand_Letter'}_${toFileName(caseData.client_name || 'client')}.${format}`;
+
+        return {
+            statusCode: 200,
+            headers: {
+                "Content-Type": FORMATS[format].contentType,
+                "Content-Disposition": `attachment; filename="${fileName}"`
+            },
+            body: fileBuffer.toString('base64'),
+            isBase64Encoded: true
+        };
+
+    } catch (error) {
+        console.error("Export Error:", error);
+        return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+    }
+};
@@ -1,97 +1,97 @@
 const { createClient } = require('@supabase/supabase-js');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const OpenAI = require('openai');
+const { generateText } = require('./utils/llm');
+const { getSettings } = require('./utils/settings');
+const { recordRevision, letterLock, lockedResponse } = require('./utils/letter_revisions');
+const { authenticate } = require('./utils/auth');
+const { getDocumentType, missingFacts } = require('./utils/document_types');
+const { firmLetterhead } = require('./utils/letter_export');
+const { calculateReferralDeadline } = require('./utils/deadlines');
+const { createRedactor } = require('./utils/redaction');
+const { getPublishedTemplate, renderTemplate, draftingVariables } = require('./utils/prompt_templates');
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_KEY = process.env.SUPABASE_KEY;
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-const openai = OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY }) : null;
 
 exports.handler = async (event, context) => {
     if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
 
-    // --- SECURITY CHECK (Verify the Admin Token) ---
-    const authHeader = event.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return { statusCode: 401, body: JSON.stringify({ error: 'Unauthorized: Missing Authentication Token' }) };
-    }
+    // --- SECURITY CHECK (Verify the session and staff role) ---
+    const { user, errorResponse } = await authenticate(event, 'draft_letters');
+    if (errorResponse) return errorResponse;
+    // ------------------------------------------------
 
     try {
-        const { caseId } = JSON.parse(event.body);
+        const body = JSON.parse(event.body);
+        const caseId = body.caseId;
+        const docType = body.docType || 'demand_letter';
         if (!caseId) return { statusCode: 400, body: JSON.stringify({ error: 'Case ID required' }) };
 
-        // 1. Fetch Case Facts
-        const { data: caseData, error: caseErr } = await supabase.from('cases').select('case_facts').eq('id', caseId).single();
+        const type = getDocumentType(docType);
+        if (!type) return { statusCode: 400, body: JSON.stringify({ error: `Unknown document type "${docType}"` }) };
+
+        // 1. Fetch Case Facts and check this document type has what it needs
+        const { data: caseData, error: caseErr } = await supabase.from('cases').select('case_facts, draft_letter, letter_status').eq('id', caseId).single();
         if (caseErr || !caseData) throw new Error("Case not found");
-        
-        const facts = caseData.case_facts;
 
-        // 2. Fetch ALL AI and Firm Settings
-        const { data: settingData } = await supabase.from('system_settings').select('*');
-        const settings = {};
-        if (settingData) {
-            settingData.forEach(row => settings[row.setting_name] = row.setting_value);
+        const facts = caseData.case_facts || {};
+        const missing = missingFacts(type, facts);
+        if (missing.length) {
+            return { statusCode: 422, body: JSON.stringify({ error: `Fill in these case details before drafting a ${type.label}: ${missing.join(', ')}`, missing }) };
         }
-        const activeLLM = settings.active_llm || 'gemini';
-        
-        // Extract Firm details
-        const firmName = settings.firm_name || 'Legal Consultants';
-        const firmAddress = settings.firm_address || '123 Legal Way, South Africa';
-        const firmContact = settings.firm_contact || 'info@legalconsultants.co.za';
-
-        // 3. The Drafter Prompt
-        const prompt = `
-        You are a Senior South African Labour Lawyer working for a firm named "${firmName}". 
-        Write a formal, highly professional "Without Prejudice" demand letter based on the following case facts.
-        
-        --- FIRM LETTERHEAD INFO ---
-        Firm Name: ${firmName}
-        Firm Address: ${firmAddress}
-        Firm Contact: ${firmContact}
-        ----------------------------
-
-        CLIENT NAME: ${facts.client_name || 'N/A'}
-        EMPLOYER NAME: ${facts.employer_name || 'N/A'}
-        EMPLOYER CONTACT: ${facts.employer_contact_details || 'N/A'}
-        DATE OF INCIDENT: ${facts.incident_date || 'N/A'}
-        HEARING HELD: ${facts.hearing_held ? 'Yes' : 'No'}
-        INCIDENT SUMMARY: ${facts.incident_description || 'N/A'}
-
-        REQUIREMENTS:
-        1. Start by placing the FIRM LETTERHEAD INFO at the very top of the document, formatted professionally like a real letterhead.
-        2. Below the letterhead and date, include "WITHOUT PREJUDICE" centered.
-        3. Format as a formal letter addressed to the Employer.
-        4. Clearly state the dispute (e.g., Unfair Dismissal, Unfair Labour Practice) based on the summary.
-        5. Make a firm demand (e.g., reinstatement, compensation, or rectification).
-        6. Conclude by stating that failure to respond favorably within 7 days will result in the matter being referred to the CCMA (Commission for Conciliation, Mediation and Arbitration) or Labour Court.
-        7. Sign off as "${firmName}".
-        8. Return ONLY the letter text. Do not include markdown blocks, intro, or outro text.
-        `;
-
-        let letterText = "";
-
-        // 4. Generate Letter
-        if (activeLLM === 'openai' && openai) {
-            const completion = await openai.chat.completions.create({
-                model: "gpt-4o", 
-                messages: [{ role: "user", content: prompt }]
-            });
-            letterText = completion.choices[0].message.content.trim();
-        } else {
-            const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-            const result = await model.generateContent(prompt);
-            letterText = result.response.text().trim();
+
+        // The demand letter is the firm's record of what was approved, paid for and sent, so it is only replaced on purpose
+        if (docType === 'demand_letter' && caseData.draft_letter && !body.newRevision) {
+            const lockedAs = await letterLock(supabase, caseId, caseData.letter_status);
+            if (lockedAs) return lockedResponse(lockedAs);
         }
 
-        // 5. Save the generated letter to Supabase
-        await supabase.from('cases').update({
+        // 2. Fetch ALL AI and Firm Settings
+        const settings = await getSettings(supabase);
+        const firm = firmLetterhead(settings);
+
+        // 3. The Drafter Prompt: the published template for this document type, filled in with the case
+        const template = await getPublishedTemplate(supabase, docType);
+        const prompt = renderTemplate(template.body, draftingVariables({ firm, deadline: calculateReferralDeadline(facts) }), facts);
+
+        // 4. Generate the document (falls back to the other provider if the active one fails).
+        // The client's and employer's details travel as placeholders and are filled back in afterwards.
+        const { text: letterText } = await generateText({ task: 'draft', prompt, settings, redactor: createRedactor(facts) });
+
+        // Anything other than the demand letter is stored alongside the case's other documents
+        if (docType !== 'demand_letter') {
+            const { data: document, error: docErr } = await supabase.from('case_documents').insert({
+                case_id: caseId,
+                doc_type: docType,
+                title: type.label,
+                content: letterText,
+                status: 'pending_review',
+                prompt_version: template.version,
+                created_by: user.id,
+                created_by_email: user.email
+            }).select().single();
+            if (docErr) throw new Error("Database save failed: " + docErr.message);
+
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ success: true, document }) };
+        }
+
+        // 5. Save the generated letter to Supabase (earlier drafts stay in the revision history)
+        const { error: saveErr } = await supabase.from('cases').update({
             draft_letter: letterText,
-            letter_status: 'pending_review'
+            letter_status: 'pending_review',
+            letter_prompt_version: template.version,
+            updated_at: new Date().toISOString()
         }).eq('id', caseId);
+        if (saveErr) throw new Error("Database save failed: " + saveErr.message);
+
+        await recordRevision(supabase, {
+            caseId,
+            action: caseData.draft_letter ? 'regenerated' : 'generated',
+            letterText,
+            letterStatus: 'pending_review',
+            user
+        });
 
         return {
             statusCode: 200,
@@ -104,3 +104,4 @@ exports.handler = async (event, context) => {
         return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
     }
 };
+
@@ -1,38 +1,23 @@
 const { createClient } = require('@supabase/supabase-js');
+const { calculateReferralDeadline, calculateResponseWindow } = require('./utils/deadlines');
+const { authenticate } = require('./utils/auth');
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_KEY = process.env.SUPABASE_KEY;
 
+// Invoices and dispatches are service-role only, so they are read separately and attached to each case
+const serviceClient = createClient(SUPABASE_URL, SUPABASE_KEY);
+
 exports.handler = async (event, context) => {
     // Only allow GET requests
     if (event.httpMethod !== 'GET') {
         return { statusCode: 405, body: 'Method Not Allowed' };
     }
 
-    // --- SECURITY CHECK (Verify the Admin Token) ---
-    const authHeader = event.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return { statusCode: 401, body: JSON.stringify({ error: 'Unauthorized: Missing Authentication Token' }) };
-    }
-
-    const token = authHeader.replace('Bearer ', '');
-    
-    // Initialize a request-specific Supabase client WITH the user's token.
-    // This ensures Row Level Security (RLS) knows exactly who is making the request!
-    const supabase = createClient(SUPABASE_URL, SUPABASE_KEY, {
-        global: {
-            headers: {
-                Authorization: `Bearer ${token}`
-            }
-        }
-    });
-    
-    // Ask Supabase if this token is a real, logged-in admin user
-    const { data: { user }, error: authErr } = await supabase.auth.getUser();
-    
-    if (authErr || !user) {
-        return { statusCode: 401, body: JSON.stringify({ error: 'Unauthorized: Invalid or Expired Token' }) };
-    }
+    // --- SECURITY CHECK (Verify the session and staff role) ---
+    // `supabase` acts as the signed-in user, so Row Level Security knows exactly who is making the request
+    const { client: supabase, errorResponse } = await authenticate(event, 'view_cases');
+    if (errorResponse) return errorResponse;
     // ------------------------------------------------
 
     try {
@@ -47,10 +32,48 @@ exports.handler = async (event, context) => {
             throw error;
         }
 
+        // Latest invoice per case, preferring the open (pending/paid) one over voided history
+        const invoiceByCase = {};
+        if (data.length) {
+            const { data: invoices, error: invoiceErr } = await serviceClient
+                .from('invoices')
+                .select('id, case_id, status, amount_cents, currency, payment_url, link_sent_at, link_sent_count, paid_at, created_at')
+                .in('case_id', data.map(c => c.id))
+                .order('created_at', { ascending: false });
+            if (invoiceErr) throw invoiceErr;
+            (invoices || []).forEach(inv => {
+                const current = invoiceByCase[inv.case_id];
+                if (!current || (current.status === 'void' && inv.status !== 'void')) invoiceByCase[inv.case_id] = inv;
+            });
+        }
+
+        // Latest successful dispatch per case drives the employer's response clock
+        const dispatchByCase = {};
+        if (data.length) {
+            const { data: dispatches, error: dispatchErr } = await serviceClient
+                .from('letter_dispatches')
+                .select('id, case_id, recipient, status, sent_at, delivered_at, response_due_date, responded_at, response_notes')
+                .in('case_id', data.map(c => c.id))
+                .neq('status', 'failed')
+                .order('created_at', { ascending: false });
+            if (dispatchErr) throw dispatchErr;
+            (dispatches || []).forEach(d => {
+                if (!dispatchByCase[d.case_id]) dispatchByCase[d.case_id] = { ...d, response_window: calculateResponseWindow(d.sent_at, d.responded_at) };
+            });
+        }
+
+        // Recalculate the CCMA referral clock on every fetch so "days remaining" is never stale
+        const cases = data.map(c => ({
+            ...c,
+            referral_deadline: calculateReferralDeadline(c.case_facts || {}),
+            invoice: invoiceByCase[c.id] || null,
+            dispatch: dispatchByCase[c.id] || null
+        }));
+
         return {
             statusCode: 200,
             headers: { "Content-Type": "application/json" },
-            body: JSON.stringify(data)
+            body: JSON.stringify(cases)
         };
 
     } catch (error) {
@@ -0,0 +1,137 @@
+const { createClient } = require('@supabase/supabase-js');
+const { validateFlow, factLabels, getPublishedFlow } = require('./utils/intake_flow');
+const { DEFAULT_FLOW } = require('./utils/default_flow');
+const { LANGUAGES, translateFlow } = require('./utils/languages');
+const { getSettings } = require('./utils/settings');
+const { authenticate, can, forbidden } = require('./utils/auth');
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_KEY;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+exports.handler = async (event, context) => {
+    try {
+        // ==========================================
+        // PUBLIC: SERVE THE PUBLISHED FLOW TO THE CHAT UI
+        // ==========================================
+        if (event.httpMethod === 'GET') {
+            const flow = await getPublishedFlow(supabase);
+            return {
+                statusCode: 200,
+                headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+                body: JSON.stringify({ version: flow.version, flow: flow.definition })
+            };
+        }
+
+        if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
+
+        // --- SECURITY CHECK (Verify the session and staff role) ---
+        const { user, role, errorResponse } = await authenticate(event);
+        if (errorResponse) return errorResponse;
+        // ------------------------------------------------
+
+        const body = JSON.parse(event.body);
+        const action = body.action; // Expects "list", "validate", "translate", "save" or "publish"
+
+        // Every staff role can read the flow (the case panel needs its labels); only admins change it
+        if (action !== "list" && !can(role, 'manage_intake_flow')) return forbidden('Only admins can edit the intake flow');
+
+        // ==========================================
+        // ACTION 1: LIST VERSIONS (plus the current flow and its labels)
+        // ==========================================
+        if (action === "list") {
+            const { data: versions, error } = await supabase
+                .from('intake_flows')
+                .select('version, status, notes, created_at, published_at, definition')
+                .order('version', { ascending: false });
+            if (error) throw error;
+
+            const published = await getPublishedFlow(supabase);
+
+            // Labels from every version (applied oldest to newest, so the latest wording wins) keep old cases readable
+            const labels = factLabels(DEFAULT_FLOW);
+            [...(versions || [])].reverse().forEach(v => Object.assign(labels, factLabels(v.definition)));
+
+            return {
+                statusCode: 200,
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ published_version: published.version, published_flow: published.definition, versions: versions || [], fact_labels: labels })
+            };
+        }
+
+        // ==========================================
+        // ACTION 2: VALIDATE WITHOUT SAVING
+        // ==========================================
+        if (action === "validate") {
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify(validateFlow(body.definition)) };
+        }
+
+        // ==========================================
+        // ACTION 3: MACHINE-TRANSLATE MISSING WORDING (returned for review, not saved)
+        // ==========================================
+        if (action === "translate") {
+            const { errors } = validateFlow(body.definition);
+            if (errors.length) return { statusCode: 422, body: JSON.stringify({ error: 'Fix the flow errors before translating', errors }) };
+            if (!LANGUAGES[body.language] || body.language === 'en') return { statusCode: 400, body: JSON.stringify({ error: 'Unsupported language' }) };
+
+            const settings = await getSettings(supabase);
+            const definition = await translateFlow({ flow: body.definition, language: body.language, settings });
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ definition, ...validateFlow(definition) }) };
+        }
+
+        // ==========================================
+        // ACTION 4: SAVE A NEW VERSION (optionally publishing it)
+        // ==========================================
+        if (action === "save") {
+            const { errors, warnings } = validateFlow(body.definition);
+            if (errors.length) return { statusCode: 422, body: JSON.stringify({ error: 'Flow is invalid', errors, warnings }) };
+
+            const { data: latest } = await supabase.from('intake_flows').select('version').order('version', { ascending: false }).limit(1);
+            const version = latest && latest.length ? latest[0].version + 1 : 1;
+
+            const { error: insErr } = await supabase.from('intake_flows').insert({
+                version,
+                definition: body.definition,
+                status: 'draft',
+                notes: body.notes || null,
+                created_by: user.id
+            });
+            if (insErr) throw new Error("Database save failed: " + insErr.message);
+
+            if (body.publish) await publishVersion(version);
+
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ success: true, version, warnings }) };
+        }
+
+        // ==========================================
+        // ACTION 5: PUBLISH (OR ROLL BACK TO) AN EXISTING VERSION
+        // ==========================================
+        if (action === "publish") {
+            const { data: target } = await supabase.from('intake_flows').select('version, definition').eq('version', body.version).single();
+            if (!target) return { statusCode: 404, body: JSON.stringify({ error: 'Version not found' }) };
+
+            // Re-check in case validation rules have tightened since it was saved
+            const { errors } = validateFlow(target.definition);
+            if (errors.length) return { statusCode: 422, body: JSON.stringify({ error: 'Flow is invalid', errors }) };
+
+            await publishVersion(target.version);
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ success: true, version: target.version }) };
+        }
+
+        return { statusCode: 400, body: JSON.stringify({ error: "Invalid action" }) };
+
+    } catch (error) {
+        console.error("Intake Flow Error:", error);
+        return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+    }
+};
+
+// Only one version is live at a time. The new one is published before the previous one is archived,
+// so a failure in between never leaves the chat on the built-in flow (the latest publish wins).
+async function publishVersion(version) {
+    const { error } = await supabase.from('intake_flows').update({ status: 'published', published_at: new Date().toISOString() }).eq('version', version);
+    if (error) throw error;
+    const { error: archiveErr } = await supabase.from('intake_flows').update({ status: 'archived' }).eq('status', 'published').neq('version', version);
+    if (archiveErr) throw archiveErr;
+}
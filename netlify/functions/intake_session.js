@@ -0,0 +1,203 @@
+const { createClient } = require('@supabase/supabase-js');
+const { getFlowVersion, getPublishedFlow, pickFlowFacts } = require('./utils/intake_flow');
+const { generateToken, hashToken, findSession } = require('./utils/intake_session');
+const { sendMessage, guessChannel } = require('./utils/messaging');
+const { normalizeLanguage } = require('./utils/languages');
+const { MAX_FILES_PER_CASE, readUpload, countEvidence, storeEvidence } = require('./utils/evidence');
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_KEY;
+const SITE_URL = process.env.URL || 'http://localhost:8888'; // Netlify sets URL to the site's main address
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+const MAX_TRANSCRIPT_ENTRIES = 200;
+const MAX_MESSAGE_CHARS = 4000;
+
+const MAX_RESUME_LINKS = 3;
+const RESUME_LINK_COOLDOWN_MS = 10 * 60 * 1000;
+
+const HTML_ENTITIES = { '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&amp;': '&' };
+
+// The transcript is written by the browser and replayed on resume (and exported for the client), so
+// it is stored as plain text: markup is dropped, line breaks kept and entities decoded. The chat
+// escapes it again when it is shown.
+function toPlainText(text) {
+    return String(text || '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<[^>]*>?/g, '')
+        .replace(/&(lt|gt|quot|#39|amp);/g, entity => HTML_ENTITIES[entity]);
+}
+
+function isPhoneOrEmail(destination) {
+    if (destination.includes('@')) return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(destination) && destination.length <= 254;
+    return /^\+?[0-9 ()-]{9,20}$/.test(destination) && destination.replace(/\D/g, '').length <= 15;
+}
+
+function cleanTranscript(transcript) {
+    if (!Array.isArray(transcript)) return [];
+    return transcript.slice(-MAX_TRANSCRIPT_ENTRIES).map(entry => ({
+        sender: entry.sender === 'user' ? 'user' : 'bot',
+        text: toPlainText(entry.text).slice(0, MAX_MESSAGE_CHARS)
+    }));
+}
+
+exports.handler = async (event, context) => {
+    if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
+
+    try {
+        const body = JSON.parse(event.body);
+        const action = body.action; // Expects "save", "resume", "send_link" or "upload_evidence"
+
+        // ==========================================
+        // ACTION 1: SAVE PROGRESS AFTER EACH ANSWER
+        // ==========================================
+        if (action === "save") {
+            const flow = (await getFlowVersion(supabase, body.flow_version)) || (await getPublishedFlow(supabase));
+            if (!flow.definition[body.current_state]) return { statusCode: 400, body: JSON.stringify({ error: 'Unknown intake state' }) };
+
+            const facts = pickFlowFacts(flow.definition, body.facts);
+            const transcript = cleanTranscript(body.transcript);
+            const language = normalizeLanguage(body.language);
+            const now = new Date().toISOString();
+
+            // Partial facts are mirrored onto the case so the admin can follow up on drop-offs
+            const casePayload = {
+                client_name: facts.client_name || null,
+                contact_info: facts.contact_info || null,
+                issue_summary: facts.incident_description || 'Incomplete intake.',
+                case_facts: {
+                    ...facts,
+                    intake_progress: { current_state: body.current_state, answered: Object.keys(facts).length, last_activity: now }
+                },
+                flow_version: flow.version,
+                updated_at: now
+            };
+
+            let token = body.token;
+            let session = await findSession(supabase, token);
+
+            if (session && session.status !== 'in_progress') {
+                return { statusCode: 409, body: JSON.stringify({ error: 'This intake has already been submitted.' }) };
+            }
+
+            if (!session) {
+                // 1. First answer: open an "incomplete" case and a session with a fresh resume token
+                const { data: newCase, error: caseErr } = await supabase.from('cases').insert({ ...casePayload, status: 'incomplete' }).select('id').single();
+                if (caseErr) throw new Error("Database save failed: " + caseErr.message);
+
+                token = generateToken();
+                const { error: sessErr } = await supabase.from('intake_sessions').insert({
+                    token_hash: hashToken(token),
+                    case_id: newCase.id,
+                    flow_version: flow.version,
+                    current_state: body.current_state,
+                    facts,
+                    transcript,
+                    language
+                });
+                if (sessErr) throw new Error("Database save failed: " + sessErr.message);
+            } else {
+                // 2. Later answers: move the session forward and refresh the case
+                const { error: sessErr } = await supabase.from('intake_sessions').update({
+                    current_state: body.current_state, facts, transcript, language, updated_at: now
+                }).eq('id', session.id);
+                if (sessErr) throw new Error("Database save failed: " + sessErr.message);
+
+                // Never touch the case once it has been evaluated
+                await supabase.from('cases').update(casePayload).eq('id', session.case_id).eq('status', 'incomplete');
+            }
+
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ token }) };
+        }
+
+        // ==========================================
+        // ACTION 2: RESUME WHERE THE CLIENT LEFT OFF
+        // ==========================================
+        if (action === "resume") {
+            const session = await findSession(supabase, body.token);
+            if (!session || session.status === 'closed') return { statusCode: 404, body: JSON.stringify({ error: 'Session not found' }) };
+
+            const flow = (await getFlowVersion(supabase, session.flow_version)) || (await getPublishedFlow(supabase));
+
+            return {
+                statusCode: 200,
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({
+                    status: session.status,
+                    current_state: session.current_state,
+                    facts: session.facts,
+                    transcript: session.transcript,
+                    language: normalizeLanguage(session.language),
+                    flow_version: flow.version,
+                    flow: flow.definition,
+                    result: session.result ? { ...session.result, caseId: session.case_id } : null
+                })
+            };
+        }
+
+        // ==========================================
+        // ACTION 3: SEND A RESUME LINK BY SMS / EMAIL
+        // ==========================================
+        if (action === "send_link") {
+            const session = await findSession(supabase, body.token);
+            if (!session || session.status === 'closed') return { statusCode: 404, body: JSON.stringify({ error: 'Session not found' }) };
+
+            const destination = String(body.destination || '').trim();
+            if (!destination) return { statusCode: 400, body: JSON.stringify({ error: 'Phone number or email required' }) };
+            if (!isPhoneOrEmail(destination)) return { statusCode: 400, body: JSON.stringify({ error: 'Enter a valid cell phone number or email address' }) };
+
+            // Anyone holding a session token can call this, so each session gets a few links, spaced out
+            const sentCount = session.resume_links_sent || 0;
+            if (sentCount >= MAX_RESUME_LINKS) return { statusCode: 429, body: JSON.stringify({ error: 'No more links can be sent for this consultation' }) };
+            if (session.resume_link_sent_at && Date.now() - Date.parse(session.resume_link_sent_at) < RESUME_LINK_COOLDOWN_MS) {
+                return { statusCode: 429, body: JSON.stringify({ error: 'A link was sent a moment ago. Please wait a few minutes before asking again.' }) };
+            }
+
+            // Claim the send before making it, so parallel requests cannot get past the cap
+            const { data: claimed, error: claimErr } = await supabase
+                .from('intake_sessions')
+                .update({ resume_links_sent: sentCount + 1, resume_link_sent_at: new Date().toISOString() })
+                .eq('id', session.id)
+                .eq('resume_links_sent', sentCount)
+                .select('id');
+            if (claimErr) throw claimErr;
+            if (!claimed || claimed.length === 0) return { statusCode: 429, body: JSON.stringify({ error: 'A link is already being sent' }) };
+
+            const link = `${SITE_URL}/?resume=${encodeURIComponent(body.token)}`;
+            await sendMessage({
+                channel: guessChannel(destination),
+                to: destination,
+                subject: "Continue your labour law consultation",
+                body: `Hi, this is Justine. Tap the link below to continue your consultation where you left off:\n${link}`
+            });
+
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ success: true }) };
+        }
+
+        // ==========================================
+        // ACTION 4: ATTACH A DOCUMENT (dismissal letter, hearing notice, payslip...) FROM AN UPLOAD STEP
+        // ==========================================
+        if (action === "upload_evidence") {
+            const session = await findSession(supabase, body.token);
+            if (!session) return { statusCode: 404, body: JSON.stringify({ error: 'Session not found' }) };
+            if (session.status !== 'in_progress') return { statusCode: 409, body: JSON.stringify({ error: 'This intake has already been submitted.' }) };
+
+            if (await countEvidence(supabase, session.case_id) >= MAX_FILES_PER_CASE) {
+                return { statusCode: 409, body: JSON.stringify({ error: `At most ${MAX_FILES_PER_CASE} files can be uploaded.` }) };
+            }
+
+            const upload = readUpload(body.file, body.file_name);
+            if (upload.error) return { statusCode: 400, body: JSON.stringify({ error: upload.error }) };
+
+            const evidence = await storeEvidence(supabase, { caseId: session.case_id, sessionId: session.id, buffer: upload.buffer, mimeType: upload.mimeType, fileName: body.file_name });
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ success: true, evidence }) };
+        }
+
+        return { statusCode: 400, body: JSON.stringify({ error: "Invalid action" }) };
+
+    } catch (error) {
+        console.error("Intake Session Error:", error);
+        return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+    }
+};
@@ -0,0 +1,120 @@
+const { createClient } = require('@supabase/supabase-js');
+const { extractText } = require('./utils/text_extract');
+const { authenticate } = require('./utils/auth');
+const { queueIndexing, isIndexing } = require('./utils/knowledge_base');
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_KEY;
+const SITE_URL = process.env.URL || 'http://localhost:8888'; // Netlify sets URL to the site's main address
+
+// Service-role client for writing chunks into the hybrid_search corpus
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+const DOC_TYPES = ['act', 'code', 'judgment', 'other'];
+
+// Indexing runs in the background function; this only queues the source and hands it over with the
+// caller's session token. Resolves once the background function has accepted the job.
+async function startIndexing(event, sourceId) {
+    const runId = await queueIndexing(supabase, sourceId);
+    try {
+        const res = await fetch(`${SITE_URL}/.netlify/functions/knowledge_base_index-background`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: event.headers.authorization },
+            body: JSON.stringify({ sourceId, runId })
+        });
+        if (!res.ok) throw new Error(`the indexer answered ${res.status}`);
+    } catch (error) {
+        await supabase.from('kb_sources').update({ status: 'failed', error: `Indexing could not be started: ${error.message}`, updated_at: new Date().toISOString() }).eq('id', sourceId).eq('index_run', runId);
+        throw error;
+    }
+}
+
+exports.handler = async (event, context) => {
+    // --- SECURITY CHECK (Verify the session and staff role) ---
+    // Every staff role can browse the knowledge base; adding or removing authorities is for admins and attorneys
+    const { user, errorResponse } = await authenticate(event, event.httpMethod === 'GET' ? null : 'manage_knowledge_base');
+    if (errorResponse) return errorResponse;
+    // ------------------------------------------------
+
+    try {
+        // ==========================================
+        // LIST DOCUMENTS
+        // ==========================================
+        if (event.httpMethod === 'GET') {
+            const { data, error } = await supabase
+                .from('kb_sources')
+                .select('id, title, citation, doc_type, court, document_date, file_name, chunk_count, status, error, created_at, updated_at')
+                .order('created_at', { ascending: false });
+            if (error) throw error;
+
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify(data) };
+        }
+
+        if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
+
+        const body = JSON.parse(event.body);
+        const action = body.action; // Expects "upload", "reindex" or "delete"
+
+        // ==========================================
+        // ACTION 1: UPLOAD A NEW DOCUMENT AND QUEUE IT FOR INDEXING
+        // ==========================================
+        if (action === "upload") {
+            if (!body.title) return { statusCode: 400, body: JSON.stringify({ error: 'Title required' }) };
+            if (body.doc_type && !DOC_TYPES.includes(body.doc_type)) {
+                return { statusCode: 400, body: JSON.stringify({ error: `doc_type must be one of: ${DOC_TYPES.join(', ')}` }) };
+            }
+
+            const rawText = (await extractText({ text: body.text, fileBase64: body.file, fileName: body.file_name })).trim();
+            if (!rawText) return { statusCode: 400, body: JSON.stringify({ error: 'The document contains no readable text' }) };
+
+            const { data: source, error: srcErr } = await supabase.from('kb_sources').insert({
+                title: body.title,
+                citation: body.citation || null,
+                doc_type: body.doc_type || 'act',
+                court: body.court || null,
+                document_date: body.document_date || null,
+                file_name: body.file_name || null,
+                raw_text: rawText,
+                uploaded_by: user.id
+            }).select().single();
+            if (srcErr) throw new Error("Database save failed: " + srcErr.message);
+
+            await startIndexing(event, source.id);
+
+            return { statusCode: 202, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ success: true, id: source.id, status: 'indexing' }) };
+        }
+
+        // ==========================================
+        // ACTION 2: RE-INDEX AN EXISTING DOCUMENT (the current chunks stay searchable until the new ones are in)
+        // ==========================================
+        if (action === "reindex") {
+            const { data: source, error: srcErr } = await supabase.from('kb_sources').select('*').eq('id', body.sourceId).single();
+            if (srcErr || !source) return { statusCode: 404, body: JSON.stringify({ error: 'Document not found' }) };
+            if (isIndexing(source)) return { statusCode: 409, body: JSON.stringify({ error: 'This document is still being indexed' }) };
+
+            await startIndexing(event, source.id);
+
+            return { statusCode: 202, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ success: true, status: 'indexing' }) };
+        }
+
+        // ==========================================
+        // ACTION 3: DELETE A DOCUMENT AND ITS CHUNKS
+        // ==========================================
+        if (action === "delete") {
+            if (!body.sourceId) return { statusCode: 400, body: JSON.stringify({ error: 'Document ID required' }) };
+
+            const { error: delChunksErr } = await supabase.from('documents').delete().eq('source_id', body.sourceId);
+            if (delChunksErr) throw delChunksErr;
+            const { error: delErr } = await supabase.from('kb_sources').delete().eq('id', body.sourceId);
+            if (delErr) throw delErr;
+
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ success: true }) };
+        }
+
+        return { statusCode: 400, body: JSON.stringify({ error: "Invalid action" }) };
+
+    } catch (error) {
+        console.error("Knowledge Base Error:", error);
+        return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+    }
+};
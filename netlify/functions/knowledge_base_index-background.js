@@ -0,0 +1,35 @@
+const { createClient } = require('@supabase/supabase-js');
+const { authenticate } = require('./utils/auth');
+const { indexSource } = require('./utils/knowledge_base');
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_KEY;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+// Background function (the "-background" suffix gives it 15 minutes and an immediate 202 to the caller).
+// knowledge_base.js queues a source and hands it over here with the admin's own session token; the
+// outcome is written to the source's status and error, which the knowledge base list shows.
+exports.handler = async (event, context) => {
+    if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
+
+    // --- SECURITY CHECK (Verify the session and staff role) ---
+    const { errorResponse } = await authenticate(event, 'manage_knowledge_base');
+    if (errorResponse) return errorResponse;
+    // ------------------------------------------------
+
+    try {
+        const body = JSON.parse(event.body);
+        const { data: source, error: srcErr } = await supabase.from('kb_sources').select('*').eq('id', body.sourceId).single();
+        if (srcErr || !source) return { statusCode: 404, body: JSON.stringify({ error: 'Document not found' }) };
+        if (source.index_run !== body.runId) return { statusCode: 409, body: JSON.stringify({ error: 'A newer indexing run has replaced this one' }) };
+
+        const chunkCount = await indexSource(supabase, source, body.runId);
+        console.log(chunkCount === null ? `Indexing of ${source.id} superseded by a newer run` : `Indexed ${source.id} into ${chunkCount} chunks`);
+        return { statusCode: 200, body: JSON.stringify({ success: true, chunk_count: chunkCount }) };
+
+    } catch (error) {
+        console.error("Knowledge Base Indexing Error:", error);
+        return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+    }
+};
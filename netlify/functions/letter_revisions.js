@@ -0,0 +1,78 @@
+const { createClient } = require('@supabase/supabase-js');
+const { recordRevision, listRevisions, letterLock, lockedResponse } = require('./utils/letter_revisions');
+const { authenticate } = require('./utils/auth');
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_KEY;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+exports.handler = async (event, context) => {
+    // --- SECURITY CHECK (Verify the session and staff role) ---
+    // Restoring only ever produces a draft that needs approval again, so every staff role may do it
+    const { user, errorResponse } = await authenticate(event, 'edit_cases');
+    if (errorResponse) return errorResponse;
+    // ------------------------------------------------
+
+    try {
+        // ==========================================
+        // GET: FULL HISTORY OF A CASE'S LETTER (newest first)
+        // ==========================================
+        if (event.httpMethod === 'GET') {
+            const caseId = (event.queryStringParameters || {}).caseId;
+            if (!caseId) return { statusCode: 400, body: JSON.stringify({ error: 'Case ID required' }) };
+
+            const revisions = await listRevisions(supabase, caseId);
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify(revisions) };
+        }
+
+        if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
+
+        const body = JSON.parse(event.body);
+        const action = body.action; // Expects "restore"
+
+        // ==========================================
+        // ACTION 1: RESTORE AN EARLIER REVISION
+        // ==========================================
+        if (action === "restore") {
+            const { caseId, revision } = body;
+            if (!caseId || !revision) return { statusCode: 400, body: JSON.stringify({ error: 'Case ID and revision required' }) };
+
+            const { data: target } = await supabase.from('letter_revisions').select('revision, letter_text').eq('case_id', caseId).eq('revision', revision).single();
+            if (!target) return { statusCode: 404, body: JSON.stringify({ error: 'Revision not found' }) };
+
+            // Restoring over a paid or sent letter rewrites the record of it, so it has to be asked for
+            if (!body.newRevision) {
+                const { data: current } = await supabase.from('cases').select('letter_status').eq('id', caseId).single();
+                if (!current) return { statusCode: 404, body: JSON.stringify({ error: 'Case not found' }) };
+                const lockedAs = await letterLock(supabase, caseId, current.letter_status);
+                if (lockedAs) return lockedResponse(lockedAs);
+            }
+
+            // A restored letter is a new draft: it has to be reviewed and approved again
+            const { data: updated, error } = await supabase.from('cases').update({
+                draft_letter: target.letter_text,
+                letter_status: 'pending_review',
+                updated_at: new Date().toISOString()
+            }).eq('id', caseId).select().single();
+            if (error) throw new Error("Database save failed: " + error.message);
+
+            const restored = await recordRevision(supabase, {
+                caseId,
+                action: 'restored',
+                letterText: target.letter_text,
+                letterStatus: 'pending_review',
+                user,
+                restoredFrom: target.revision
+            });
+
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ success: true, case: updated, revision: restored }) };
+        }
+
+        return { statusCode: 400, body: JSON.stringify({ error: "Invalid action" }) };
+
+    } catch (error) {
+        console.error("Letter Revisions Error:", error);
+        return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+    }
+};
@@ -0,0 +1,75 @@
+const { createClient } = require('@supabase/supabase-js');
+const { getGateway } = require('./utils/payments');
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_KEY;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+// Public endpoint: the gateway (not a signed-in user) calls it, so every callback is verified
+// by the gateway adapter's signature check instead of an admin token.
+exports.handler = async (event, context) => {
+    try {
+        // Fails closed: with payments unconfigured (or the stub not explicitly allowed) nothing is accepted
+        let gateway;
+        try {
+            gateway = getGateway();
+        } catch (err) {
+            console.error("Payment gateway unavailable:", err.message);
+            return { statusCode: 503, body: JSON.stringify({ error: 'Payments are not available' }) };
+        }
+
+        // ==========================================
+        // GET: HOSTED CHECKOUT (stub gateway only; real gateways host their own)
+        // ==========================================
+        if (event.httpMethod === 'GET') {
+            const reference = (event.queryStringParameters || {}).reference;
+            if (!reference || !gateway.renderCheckout) return { statusCode: 404, body: 'Not Found' };
+
+            const { data: invoice } = await supabase.from('invoices').select('*').eq('gateway_reference', reference).single();
+            if (!invoice) return { statusCode: 404, body: 'Invoice not found' };
+
+            return { statusCode: 200, headers: { "Content-Type": "text/html; charset=utf-8" }, body: gateway.renderCheckout(invoice) };
+        }
+
+        if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
+
+        // ==========================================
+        // POST: PAYMENT CALLBACK
+        // ==========================================
+        let callback;
+        try {
+            callback = await gateway.parseWebhook(event);
+        } catch (err) {
+            console.warn("Rejected payment webhook:", err.message);
+            return { statusCode: 400, body: JSON.stringify({ error: err.message }) };
+        }
+
+        const { data: invoice } = await supabase.from('invoices').select('*').eq('gateway_reference', callback.reference).single();
+        if (!invoice) return { statusCode: 404, body: JSON.stringify({ error: 'Invoice not found' }) };
+
+        const now = new Date().toISOString();
+        if (callback.status === 'paid' && invoice.status === 'pending') {
+            // Guarded on status so a repeated callback cannot overwrite paid_at
+            const { error } = await supabase.from('invoices')
+                .update({ status: 'paid', paid_at: now, webhook_payload: callback.payload, updated_at: now })
+                .eq('id', invoice.id).eq('status', 'pending');
+            if (error) throw error;
+        } else {
+            // Failed attempts leave the invoice open so the client can try the same link again
+            if (callback.status === 'paid' && invoice.status === 'void') console.warn(`Payment received for void invoice ${invoice.id}; refund required.`);
+            await supabase.from('invoices').update({ webhook_payload: callback.payload, updated_at: now }).eq('id', invoice.id);
+        }
+
+        // The stub checkout posts a form from the browser, so answer it with a page rather than JSON
+        if (!/json/i.test((event.headers || {})['content-type'] || '')) {
+            const message = callback.status === 'paid' ? 'Payment received. Thank you! You can close this page.' : 'The payment did not go through. Please try the link again.';
+            return { statusCode: 200, headers: { "Content-Type": "text/html; charset=utf-8" }, body: `<!DOCTYPE html><html><body style="font-family: sans-serif; max-width: 480px; margin: 60px auto;"><h2>${message}</h2></body></html>` };
+        }
+        return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ received: true }) };
+
+    } catch (error) {
+        console.error("Payment Webhook Error:", error);
+        return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+    }
+};
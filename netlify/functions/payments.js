@@ -0,0 +1,85 @@
+const { createClient } = require('@supabase/supabase-js');
+const { authenticate, can, forbidden } = require('./utils/auth');
+const { getSettings } = require('./utils/settings');
+const { createInvoiceForCase, sendPaymentLink } = require('./utils/payments');
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_KEY;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+exports.handler = async (event, context) => {
+    // --- SECURITY CHECK (Verify the session and staff role) ---
+    const { user, role, errorResponse } = await authenticate(event, 'view_cases');
+    if (errorResponse) return errorResponse;
+    // ------------------------------------------------
+
+    try {
+        // ==========================================
+        // GET: EVERY INVOICE FOR A CASE (newest first)
+        // ==========================================
+        if (event.httpMethod === 'GET') {
+            const caseId = (event.queryStringParameters || {}).caseId;
+            if (!caseId) return { statusCode: 400, body: JSON.stringify({ error: 'Case ID required' }) };
+
+            const { data, error } = await supabase.from('invoices').select('*').eq('case_id', caseId).order('created_at', { ascending: false });
+            if (error) throw error;
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify(data || []) };
+        }
+
+        if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
+
+        const body = JSON.parse(event.body);
+        const action = body.action; // Expects "create", "resend" or "void"
+
+        // ==========================================
+        // ACTION 1: OPEN AN INVOICE (e.g. after voiding one, or for a case that predates payments)
+        // ==========================================
+        if (action === "create") {
+            if (!can(role, 'manage_payments')) return forbidden('Only admins can create invoices');
+            const { data: caseRow } = await supabase.from('cases').select('id, client_name').eq('id', body.caseId).single();
+            if (!caseRow) return { statusCode: 404, body: JSON.stringify({ error: 'Case not found' }) };
+
+            const settings = await getSettings(supabase);
+            const invoice = await createInvoiceForCase(supabase, caseRow, settings);
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ success: true, invoice }) };
+        }
+
+        const { data: invoice } = await supabase.from('invoices').select('*').eq('id', body.invoiceId).single();
+        if (!invoice) return { statusCode: 404, body: JSON.stringify({ error: 'Invoice not found' }) };
+
+        // ==========================================
+        // ACTION 2: (RE)SEND THE PAYMENT LINK TO THE CLIENT
+        // ==========================================
+        if (action === "resend") {
+            if (!can(role, 'manage_payments')) return forbidden('Only admins can re-send payment links');
+            if (invoice.status !== 'pending') return { statusCode: 409, body: JSON.stringify({ error: `This invoice is already ${invoice.status}.` }) };
+            const { data: caseRow } = await supabase.from('cases').select('client_name, contact_info, case_facts').eq('id', invoice.case_id).single();
+
+            const updated = await sendPaymentLink(supabase, invoice, caseRow || {});
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ success: true, invoice: updated }) };
+        }
+
+        // ==========================================
+        // ACTION 3: VOID AN UNPAID INVOICE (its link stops working)
+        // ==========================================
+        if (action === "void") {
+            if (!can(role, 'manage_payments')) return forbidden('Only admins can void invoices');
+            if (invoice.status !== 'pending') return { statusCode: 409, body: JSON.stringify({ error: `Only unpaid invoices can be voided; this one is ${invoice.status}.` }) };
+
+            const now = new Date().toISOString();
+            const { data: updated, error } = await supabase.from('invoices')
+                .update({ status: 'void', voided_at: now, voided_by: user.id, updated_at: now })
+                .eq('id', invoice.id).eq('status', 'pending')
+                .select().single();
+            if (error) throw new Error("Could not void invoice: " + error.message);
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ success: true, invoice: updated }) };
+        }
+
+        return { statusCode: 400, body: JSON.stringify({ error: "Invalid action" }) };
+
+    } catch (error) {
+        console.error("Payments Error:", error);
+        return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+    }
+};
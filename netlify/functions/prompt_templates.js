@@ -0,0 +1,195 @@
+const { createClient } = require('@supabase/supabase-js');
+const { authenticate } = require('./utils/auth');
+const { getSettings } = require('./utils/settings');
+const { generateJSON, generateText } = require('./utils/llm');
+const { createRedactor } = require('./utils/redaction');
+const { retrieveAuthorities } = require('./utils/retrieval');
+const { evidenceExcerpts } = require('./utils/evidence');
+const { calculateReferralDeadline } = require('./utils/deadlines');
+const { firmLetterhead } = require('./utils/letter_export');
+const { getDocumentType, missingFacts } = require('./utils/document_types');
+const { RESERVED_FACT_KEYS } = require('./utils/intake_flow');
+const {
+    TEMPLATES, getTemplateDefinition, knownFactKeys, validatePromptTemplate, renderTemplate,
+    evaluationVariables, draftingVariables, getPublishedTemplate
+} = require('./utils/prompt_templates');
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_KEY;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+exports.handler = async (event, context) => {
+    if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
+
+    // --- SECURITY CHECK (Verify the session and staff role) ---
+    const { user, errorResponse } = await authenticate(event, 'manage_prompts');
+    if (errorResponse) return errorResponse;
+    // ------------------------------------------------
+
+    try {
+        const body = JSON.parse(event.body);
+        const action = body.action; // Expects "list", "validate", "preview", "save" or "publish"
+
+        // ==========================================
+        // ACTION 1: LIST TEMPLATES, THEIR VERSIONS AND THE PLACEHOLDERS THEY MAY USE
+        // ==========================================
+        if (action === "list") {
+            const { data: versions, error } = await supabase
+                .from('prompt_templates')
+                .select('template_key, version, status, notes, created_at, published_at, body')
+                .order('version', { ascending: false });
+            if (error) throw error;
+
+            const templates = [];
+            for (const [key, definition] of Object.entries(TEMPLATES)) {
+                const published = await getPublishedTemplate(supabase, key);
+                templates.push({
+                    key,
+                    label: definition.label,
+                    variables: definition.variables,
+                    required: definition.required,
+                    published_version: published.version,
+                    published_body: published.body,
+                    default_body: definition.defaultBody
+                });
+            }
+
+            return {
+                statusCode: 200,
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ templates, versions: versions || [], fact_keys: await knownFactKeys(supabase) })
+            };
+        }
+
+        const definition = getTemplateDefinition(body.key);
+        if (!definition) return { statusCode: 400, body: JSON.stringify({ error: `Unknown template "${body.key}"` }) };
+
+        // ==========================================
+        // ACTION 2: VALIDATE WITHOUT SAVING
+        // ==========================================
+        if (action === "validate") {
+            const factKeys = await knownFactKeys(supabase);
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify(validatePromptTemplate(body.key, body.body, factKeys)) };
+        }
+
+        // ==========================================
+        // ACTION 3: PREVIEW AGAINST A REAL CASE (optionally a dry run through the LLM; nothing is saved)
+        // ==========================================
+        if (action === "preview") {
+            const factKeys = await knownFactKeys(supabase);
+            const { errors, warnings } = validatePromptTemplate(body.key, body.body, factKeys);
+            if (errors.length) return { statusCode: 422, body: JSON.stringify({ error: 'Template is invalid', errors, warnings }) };
+            if (!body.caseId) return { statusCode: 400, body: JSON.stringify({ error: 'Case ID required' }) };
+
+            const { data: caseRow } = await supabase.from('cases').select('id, case_facts').eq('id', body.caseId).single();
+            if (!caseRow) return { statusCode: 404, body: JSON.stringify({ error: 'Case not found' }) };
+
+            const caseFacts = caseRow.case_facts || {};
+            const settings = await getSettings(supabase);
+            const redactor = createRedactor(caseFacts);
+            const deadline = calculateReferralDeadline(caseFacts);
+            let prompt;
+
+            if (definition.task === 'evaluate') {
+                // Rebuild what ask.js saw: the client's answers without the fields the evaluation itself added
+                const facts = {};
+                Object.entries(caseFacts).forEach(([key, value]) => {
+                    if (!RESERVED_FACT_KEYS.includes(key)) facts[key] = value;
+                });
+                const searchQuery = redactor.redact(`${facts.incident_description || ''} ${facts.sector || ''} unfair dismissal labour practice`);
+                const { contextText } = await retrieveAuthorities(supabase, searchQuery, settings);
+                const evidence = await evidenceExcerpts(supabase, caseRow.id, facts);
+
+                prompt = renderTemplate(body.body, evaluationVariables({
+                    facts,
+                    contextText,
+                    evidenceText: evidence.contextText,
+                    deadline,
+                    language: caseFacts.preferred_language || 'English'
+                }), facts);
+            } else {
+                const missing = missingFacts(getDocumentType(body.key), caseFacts);
+                if (missing.length) warnings.push(`This case is missing ${missing.join(', ')}; drafting it for real would be refused.`);
+                prompt = renderTemplate(body.body, draftingVariables({ firm: firmLetterhead(settings), deadline }), caseFacts);
+            }
+
+            const result = { prompt, warnings };
+            if (body.run) {
+                if (definition.schema) {
+                    const evaluation = await generateJSON({ task: definition.task, prompt, schema: definition.schema, system: definition.system, settings, redactor });
+                    Object.assign(result, { output: evaluation.data, provider: evaluation.provider, model: evaluation.model });
+                } else {
+                    const draft = await generateText({ task: definition.task, prompt, settings, redactor });
+                    Object.assign(result, { output: draft.text, provider: draft.provider, model: draft.model });
+                }
+            }
+
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify(result) };
+        }
+
+        // ==========================================
+        // ACTION 4: SAVE A NEW VERSION (optionally publishing it)
+        // ==========================================
+        if (action === "save") {
+            const { errors, warnings } = validatePromptTemplate(body.key, body.body, await knownFactKeys(supabase));
+            if (errors.length) return { statusCode: 422, body: JSON.stringify({ error: 'Template is invalid', errors, warnings }) };
+
+            const { data: latest } = await supabase.from('prompt_templates').select('version').eq('template_key', body.key).order('version', { ascending: false }).limit(1);
+            const version = latest && latest.length ? latest[0].version + 1 : 1;
+
+            const { error: insErr } = await supabase.from('prompt_templates').insert({
+                template_key: body.key,
+                version,
+                body: body.body,
+                status: 'draft',
+                notes: body.notes || null,
+                created_by: user.id
+            });
+            if (insErr) throw new Error("Database save failed: " + insErr.message);
+
+            if (body.publish) await publishVersion(body.key, version);
+
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ success: true, version, warnings }) };
+        }
+
+        // ==========================================
+        // ACTION 5: PUBLISH (OR ROLL BACK TO) A VERSION; version 0 goes back to the built-in wording
+        // ==========================================
+        if (action === "publish") {
+            const version = parseInt(body.version, 10);
+            if (version === 0) {
+                await publishVersion(body.key, 0);
+                return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ success: true, version: 0 }) };
+            }
+
+            const { data: target } = await supabase.from('prompt_templates').select('version, body').eq('template_key', body.key).eq('version', version).single();
+            if (!target) return { statusCode: 404, body: JSON.stringify({ error: 'Version not found' }) };
+
+            // Re-check in case the fact keys or the rules have changed since it was saved
+            const { errors } = validatePromptTemplate(body.key, target.body, await knownFactKeys(supabase));
+            if (errors.length) return { statusCode: 422, body: JSON.stringify({ error: 'Template is invalid', errors }) };
+
+            await publishVersion(body.key, target.version);
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ success: true, version: target.version }) };
+        }
+
+        return { statusCode: 400, body: JSON.stringify({ error: "Invalid action" }) };
+
+    } catch (error) {
+        console.error("Prompt Templates Error:", error);
+        return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+    }
+};
+
+// Only one version per template is live at a time. The new one is published before the previous one
+// is archived: if the second step fails, getPublishedTemplate picks the most recently published version
+// rather than falling back to the built-in wording.
+async function publishVersion(key, version) {
+    if (version !== 0) {
+        const { error } = await supabase.from('prompt_templates').update({ status: 'published', published_at: new Date().toISOString() }).eq('template_key', key).eq('version', version);
+        if (error) throw error;
+    }
+    const { error: archiveErr } = await supabase.from('prompt_templates').update({ status: 'archived' }).eq('template_key', key).eq('status', 'published').neq('version', version);
+    if (archiveErr) throw archiveErr;
+}
@@ -0,0 +1,43 @@
+const { createClient } = require('@supabase/supabase-js');
+const { authenticate } = require('./utils/auth');
+const { parseRange, loadReportData, buildReport, reportToCsv } = require('./utils/reports');
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_KEY;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+exports.handler = async (event, context) => {
+    if (event.httpMethod !== 'GET') return { statusCode: 405, body: 'Method Not Allowed' };
+
+    // --- SECURITY CHECK (Verify the session and staff role) ---
+    const { errorResponse } = await authenticate(event, 'view_reports');
+    if (errorResponse) return errorResponse;
+    // ------------------------------------------------
+
+    try {
+        // ?from=YYYY-MM-DD&to=YYYY-MM-DD (cases created in that range) and optionally &format=csv
+        const params = event.queryStringParameters || {};
+        const range = parseRange({ from: params.from, to: params.to });
+        if (range.error) return { statusCode: 400, body: JSON.stringify({ error: range.error }) };
+
+        const report = buildReport(await loadReportData(supabase, range), range);
+
+        if (params.format === 'csv') {
+            return {
+                statusCode: 200,
+                headers: {
+                    "Content-Type": "text/csv; charset=utf-8",
+                    "Content-Disposition": `attachment; filename="practice-report-${range.from}-to-${range.to}.csv"`
+                },
+                body: reportToCsv(report)
+            };
+        }
+
+        return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify(report) };
+
+    } catch (error) {
+        console.error("Reports Error:", error);
+        return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+    }
+};
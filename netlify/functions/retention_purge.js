@@ -0,0 +1,28 @@
+const { createClient } = require('@supabase/supabase-js');
+const { getSettings } = require('./utils/settings');
+const { retentionDays, purgeDeclinedCases, logRequest } = require('./utils/data_subject');
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_KEY;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+// Scheduled function (no HTTP access): deletes declined cases once they are older than the
+// retention period set in the admin panel (`declined_retention_days`), anonymising any with a paid invoice.
+exports.config = { schedule: '@daily' };
+
+exports.handler = async (event, context) => {
+    try {
+        const settings = await getSettings(supabase);
+        const { erased, anonymised } = await purgeDeclinedCases(supabase, settings);
+        if (erased.length || anonymised.length) {
+            await logRequest(supabase, { action: 'retention_purge', caseIds: [...erased, ...anonymised], actor: null, details: { retention_days: retentionDays(settings), anonymised } });
+        }
+
+        console.log(`Retention purge: ${erased.length} declined case(s) deleted, ${anonymised.length} with paid invoices anonymised`);
+        return { statusCode: 200, body: JSON.stringify({ purged: erased.length, anonymised: anonymised.length }) };
+    } catch (error) {
+        console.error("Retention Purge Error:", error);
+        return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+    }
+};
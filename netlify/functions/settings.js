@@ -1,23 +1,11 @@
-const { createClient } = require('@supabase/supabase-js');
-
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_KEY = process.env.SUPABASE_KEY;
+const { authenticate } = require('./utils/auth');
+const { SELECTABLE_PROVIDERS } = require('./utils/llm');
 
 exports.handler = async (event, context) => {
     // --- SECURITY CHECK ---
-    const authHeader = event.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return { statusCode: 401, body: JSON.stringify({ error: 'Unauthorized: Missing Token' }) };
-    }
-    const token = authHeader.replace('Bearer ', '');
-    
-    // Request-specific client authenticated as the Admin user
-    const supabase = createClient(SUPABASE_URL, SUPABASE_KEY, {
-        global: { headers: { Authorization: `Bearer ${token}` } }
-    });
-    
-    const { data: { user }, error: authErr } = await supabase.auth.getUser();
-    if (authErr || !user) return { statusCode: 401, body: JSON.stringify({ error: 'Unauthorized: Invalid Token' }) };
+    // The firm details and AI provider settings are read and changed by admins only
+    const { client: supabase, errorResponse } = await authenticate(event, 'manage_settings');
+    if (errorResponse) return errorResponse;
     // ----------------------
 
     try {
@@ -34,6 +22,10 @@ exports.handler = async (event, context) => {
 
         if (event.httpMethod === 'POST') {
             const payload = JSON.parse(event.body);
+            // The mock provider is for offline testing only and is switched on with the LLM_PROVIDER env var
+            if ('active_llm' in payload && !SELECTABLE_PROVIDERS.includes(payload.active_llm)) {
+                return { statusCode: 400, body: JSON.stringify({ error: `active_llm must be one of ${SELECTABLE_PROVIDERS.join(', ')}` }) };
+            }
             const upsertData = Object.keys(payload).map(key => ({
                 setting_name: key, setting_value: payload[key], updated_at: new Date().toISOString() 
             }));
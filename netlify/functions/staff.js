@@ -0,0 +1,76 @@
+const { createClient } = require('@supabase/supabase-js');
+const { ROLES, can, permissionsFor, forbidden, authenticate } = require('./utils/auth');
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_KEY;
+
+// Service-role client: listing sign-in accounts needs the auth admin API
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+exports.handler = async (event, context) => {
+    // --- SECURITY CHECK (Verify the session and staff role) ---
+    const { user, role, errorResponse } = await authenticate(event);
+    if (errorResponse) return errorResponse;
+    // ------------------------------------------------
+
+    try {
+        // ==========================================
+        // GET: WHO AM I (the admin panel hides what this role cannot do)
+        // ==========================================
+        if (event.httpMethod === 'GET') {
+            return {
+                statusCode: 200,
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ id: user.id, email: user.email, role, permissions: permissionsFor(role) })
+            };
+        }
+
+        if (event.httpMethod !== 'POST') return { statusCode: 405, body: 'Method Not Allowed' };
+        if (!can(role, 'manage_staff')) return forbidden('Only admins can manage staff roles');
+
+        const body = JSON.parse(event.body);
+        const action = body.action; // Expects "list" or "set_role"
+
+        // ==========================================
+        // ACTION 1: LIST EVERY ACCOUNT AND ITS ROLE
+        // ==========================================
+        if (action === "list") {
+            const { data: { users }, error: usersErr } = await supabase.auth.admin.listUsers({ perPage: 1000 });
+            if (usersErr) throw usersErr;
+            const { data: roles, error: rolesErr } = await supabase.from('staff_roles').select('user_id, role');
+            if (rolesErr) throw rolesErr;
+
+            const roleByUser = {};
+            (roles || []).forEach(r => roleByUser[r.user_id] = r.role);
+            const staff = users.map(u => ({ id: u.id, email: u.email, role: roleByUser[u.id] || null, last_sign_in_at: u.last_sign_in_at }));
+
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ roles: ROLES, staff }) };
+        }
+
+        // ==========================================
+        // ACTION 2: ASSIGN (OR REVOKE) A ROLE
+        // ==========================================
+        if (action === "set_role") {
+            const { userId } = body;
+            const newRole = body.role || null;
+            if (!userId) return { statusCode: 400, body: JSON.stringify({ error: 'User ID required' }) };
+            if (newRole && !ROLES.includes(newRole)) return { statusCode: 400, body: JSON.stringify({ error: `Role must be one of ${ROLES.join(', ')}` }) };
+
+            // Stop an admin from locking everyone (including themselves) out of this screen
+            if (userId === user.id && newRole !== 'admin') return { statusCode: 400, body: JSON.stringify({ error: 'You cannot remove your own admin role' }) };
+
+            const { error } = newRole
+                ? await supabase.from('staff_roles').upsert({ user_id: userId, role: newRole, assigned_by: user.id, updated_at: new Date().toISOString() })
+                : await supabase.from('staff_roles').delete().eq('user_id', userId);
+            if (error) throw new Error("Database save failed: " + error.message);
+
+            return { statusCode: 200, headers: { "Content-Type": "application/json" }, body: JSON.stringify({ success: true }) };
+        }
+
+        return { statusCode: 400, body: JSON.stringify({ error: "Invalid action" }) };
+
+    } catch (error) {
+        console.error("Staff Error:", error);
+        return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+    }
+};
@@ -1,4 +1,8 @@
 const { createClient } = require('@supabase/supabase-js');
+const { calculateReferralDeadline } = require('./utils/deadlines');
+const { classifyLetterChange, recordRevision, letterLock, lockedResponse } = require('./utils/letter_revisions');
+const { authenticate, can, forbidden } = require('./utils/auth');
+const { getOpenInvoice, sendPaymentLink } = require('./utils/payments');
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_KEY = process.env.SUPABASE_KEY;
@@ -10,14 +14,14 @@ exports.handler = async (event, context) => {
         return { statusCode: 405, body: 'Method Not Allowed' };
     }
 
-    // --- SECURITY CHECK (Verify the Admin Token) ---
-    const authHeader = event.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return { statusCode: 401, body: JSON.stringify({ error: 'Unauthorized: Missing Authentication Token' }) };
-    }
+    // --- SECURITY CHECK (Verify the session and staff role) ---
+    // Letter revisions are attributed to the signed-in user
+    const { user, role, errorResponse } = await authenticate(event, 'edit_cases');
+    if (errorResponse) return errorResponse;
+    // ------------------------------------------------
 
     try {
-        const { id, draft_letter, letter_status, case_facts } = JSON.parse(event.body);
+        const { id, draft_letter, letter_status, case_facts, newRevision } = JSON.parse(event.body);
 
         if (!id) {
             return { statusCode: 400, body: JSON.stringify({ error: 'Case ID required' }) };
@@ -26,8 +30,35 @@ exports.handler = async (event, context) => {
         // Build the update payload dynamically
         const updatePayload = { updated_at: new Date().toISOString() };
         if (draft_letter !== undefined) updatePayload.draft_letter = draft_letter;
-        if (letter_status !== undefined) updatePayload.letter_status = letter_status;
-        if (case_facts !== undefined) updatePayload.case_facts = case_facts;
+        if (letter_status !== undefined) {
+            // 'sent' is only ever set by dispatch_letter
+            if (!['needs_drafting', 'pending_review', 'approved'].includes(letter_status)) return { statusCode: 400, body: JSON.stringify({ error: 'Invalid letter status' }) };
+            updatePayload.letter_status = letter_status;
+        }
+        if (case_facts !== undefined) {
+            // Facts like incident_date may have been corrected, so refresh the stored deadline snapshot
+            updatePayload.case_facts = case_facts ? { ...case_facts, referral_deadline: calculateReferralDeadline(case_facts) } : case_facts;
+        }
+
+        // Snapshot the letter before the change so we can tell an edit from a status change
+        let before = null;
+        if (draft_letter !== undefined || letter_status !== undefined) {
+            const { data: current, error: readErr } = await supabase.from('cases').select('draft_letter, letter_status').eq('id', id).single();
+            if (readErr || !current) return { statusCode: 404, body: JSON.stringify({ error: 'Case not found' }) };
+            before = current;
+
+            // Editing, or sending back for review, a letter that was approved, paid for or sent needs an explicit new revision
+            if (classifyLetterChange(before, { draft_letter, letter_status }) && !newRevision) {
+                const lockedAs = await letterLock(supabase, id, before.letter_status);
+                if (lockedAs) return lockedResponse(lockedAs);
+            }
+
+            // Approving a letter, or changing the text of an approved one, is for an attorney or admin
+            const resultingStatus = letter_status !== undefined ? letter_status : before.letter_status;
+            if (resultingStatus === 'approved' && classifyLetterChange(before, { draft_letter, letter_status }) && !can(role, 'approve_letters')) {
+                return forbidden('Only attorneys and admins can approve letters');
+            }
+        }
 
         // Update the case in Supabase
         const { data, error } = await supabase
@@ -38,10 +69,36 @@ exports.handler = async (event, context) => {
 
         if (error) throw error;
 
+        // Append the new state of the letter to its revision history
+        const revisionAction = before ? classifyLetterChange(before, updatePayload) : null;
+        if (revisionAction) {
+            await recordRevision(supabase, {
+                caseId: id,
+                action: revisionAction,
+                letterText: data[0].draft_letter,
+                letterStatus: data[0].letter_status,
+                user
+            });
+        }
+
+        // Approval is when the client is asked to pay (their letter is ready to go out)
+        let paymentLinkSent = false;
+        if (before && before.letter_status !== 'approved' && data[0].letter_status === 'approved') {
+            try {
+                const invoice = await getOpenInvoice(supabase, id);
+                if (invoice && invoice.status === 'pending' && !invoice.link_sent_at) {
+                    await sendPaymentLink(supabase, invoice, data[0]);
+                    paymentLinkSent = true;
+                }
+            } catch (err) {
+                console.error("Payment Link Error:", err);
+            }
+        }
+
         return {
             statusCode: 200,
             headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ success: true, case: data[0] })
+            body: JSON.stringify({ success: true, case: data[0], payment_link_sent: paymentLinkSent })
         };
 
     } catch (error) {
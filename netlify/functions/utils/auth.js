@@ -0,0 +1,85 @@
+// ==========================================
+// SHARED AUTH FOR ADMIN FUNCTIONS
+// ==========================================
+// Every admin function calls `authenticate(event, permission)`. It verifies the Supabase session
+// token (a "Bearer" prefix alone is not enough), looks up the user's staff role in `staff_roles`
+// and checks the role against PERMISSIONS. On failure `errorResponse` is the 401/403 to return.
+
+const { createClient } = require('@supabase/supabase-js');
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_KEY;
+
+// Role lookups go through the service-role client so a user cannot grant themselves a role
+const serviceClient = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+const ROLES = ['admin', 'attorney', 'paralegal'];
+
+// Which roles may do what. Anything not listed here is open to every staff role.
+const PERMISSIONS = {
+    view_cases: ['admin', 'attorney', 'paralegal'],
+    edit_cases: ['admin', 'attorney', 'paralegal'],
+    draft_letters: ['admin', 'attorney', 'paralegal'],
+    approve_letters: ['admin', 'attorney'],
+    export_letters: ['admin', 'attorney', 'paralegal'],
+    dispatch_letters: ['admin', 'attorney'],
+    manage_settings: ['admin'],
+    manage_payments: ['admin'],
+    manage_data_subjects: ['admin'],
+    manage_knowledge_base: ['admin', 'attorney'],
+    view_reports: ['admin', 'attorney'],
+    manage_intake_flow: ['admin'],
+    manage_prompts: ['admin'],
+    manage_staff: ['admin']
+};
+
+function can(role, permission) {
+    if (!permission) return ROLES.includes(role);
+    return (PERMISSIONS[permission] || ROLES).includes(role);
+}
+
+function permissionsFor(role) {
+    return Object.keys(PERMISSIONS).filter(permission => can(role, permission));
+}
+
+function unauthorized(message) {
+    return { statusCode: 401, body: JSON.stringify({ error: `Unauthorized: ${message}` }) };
+}
+
+function forbidden(message) {
+    return { statusCode: 403, body: JSON.stringify({ error: `Forbidden: ${message}` }) };
+}
+
+async function getRole(userId) {
+    const { data, error } = await serviceClient.from('staff_roles').select('role').eq('user_id', userId).single();
+    if (error || !data) return null;
+    return data.role;
+}
+
+/**
+ * Verifies the request's session token and (optionally) a permission.
+ * Resolves to { user, role, client } where `client` is a Supabase client acting as the user
+ * (so RLS applies), or to { errorResponse } when the request must be rejected.
+ */
+async function authenticate(event, permission) {
+    const authHeader = (event.headers || {}).authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) return { errorResponse: unauthorized('Missing Authentication Token') };
+    const token = authHeader.replace('Bearer ', '');
+
+    // Request-specific client authenticated as the signed-in user
+    const client = createClient(SUPABASE_URL, SUPABASE_KEY, {
+        global: { headers: { Authorization: `Bearer ${token}` } }
+    });
+
+    // Ask Supabase if this token is a real, logged-in user
+    const { data: { user }, error: authErr } = await client.auth.getUser();
+    if (authErr || !user) return { errorResponse: unauthorized('Invalid or Expired Token') };
+
+    const role = await getRole(user.id);
+    if (!role) return { errorResponse: forbidden('No staff role has been assigned to this account') };
+    if (permission && !can(role, permission)) return { errorResponse: forbidden(`Your role (${role}) cannot ${permission.replace(/_/g, ' ')}`) };
+
+    return { user, role, client };
+}
+
+module.exports = { ROLES, PERMISSIONS, can, permissionsFor, forbidden, authenticate };
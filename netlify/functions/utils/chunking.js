@@ -0,0 +1,140 @@
+// ==========================================
+// SECTION-AWARE CHUNKING FOR THE KNOWLEDGE BASE
+// ==========================================
+// Legal texts are split on their own structure first (Chapters, Parts, numbered sections,
+// Code of Good Practice items, numbered judgment paragraphs) and only then packed into
+// size-limited chunks. Each chunk is prefixed with its source and section heading so the
+// embedding and the LLM both know where the text came from.
+
+const MAX_CHUNK_CHARS = 1800;
+const MIN_CHUNK_CHARS = 200;
+const OVERLAP_CHARS = 200;
+const ORPHAN_CHARS = 80; // e.g. a chapter title line with no body of its own
+
+// Lines that start a new section in Acts, Codes and judgments
+const HEADING_PATTERNS = [
+    /^(CHAPTER|Chapter)\s+[IVXLC\d]+\b.*$/,        // CHAPTER VIII / Chapter 8
+    /^(PART|Part)\s+[A-Z\d]+\b.*$/,                // PART C
+    /^(SCHEDULE|Schedule)\s+\d+\b.*$/,             // Schedule 8
+    /^(Item|ITEM)\s+\d+[A-Z]?\b.*$/,               // Item 7 (Codes of Good Practice)
+    /^(Section|SECTION)\s+\d+[A-Z]?\b.*$/,         // Section 186
+    /^\d{1,3}[A-Z]?\.\s+[A-Z][^.]{2,100}$/,        // 186. Meaning of dismissal and unfair labour practice
+    /^\[\d{1,4}\]\s*/                              // [23] numbered paragraph in a judgment
+];
+
+function isHeading(line) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.length > 160) return false;
+    return HEADING_PATTERNS.some(pattern => pattern.test(trimmed));
+}
+
+// Chapter/Part/Schedule headings (or none at all) group sections rather than carry law of their own
+function isStructural(heading) {
+    return !heading || /^(CHAPTER|PART|SCHEDULE)\b/i.test(heading);
+}
+
+function normaliseText(text) {
+    return String(text || '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Splits the document into { heading, text } sections. Judgment paragraph markers ([23]) start
+// a new section but keep the marker in the text rather than treating it as a title.
+function splitSections(text) {
+    const sections = [];
+    let current = { heading: null, lines: [] };
+
+    normaliseText(text).split('\n').forEach(line => {
+        if (isHeading(line)) {
+            if (current.lines.join('').trim()) sections.push(current);
+            const isParagraphMarker = /^\[\d{1,4}\]/.test(line.trim());
+            current = {
+                heading: isParagraphMarker ? current.heading : line.trim(),
+                lines: isParagraphMarker ? [line] : []
+            };
+        } else {
+            current.lines.push(line);
+        }
+    });
+    if (current.lines.join('').trim()) sections.push(current);
+
+    return sections.map(s => ({ heading: s.heading, text: s.lines.join('\n').trim() }));
+}
+
+// Packs paragraphs into chunks of at most MAX_CHUNK_CHARS, carrying a little overlap forward
+function packParagraphs(text) {
+    const paragraphs = text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+    const pieces = [];
+
+    paragraphs.forEach(paragraph => {
+        // A single huge paragraph is cut on sentence boundaries
+        if (paragraph.length <= MAX_CHUNK_CHARS) { pieces.push(paragraph); return; }
+        let buffer = '';
+        paragraph.split(/(?<=[.;:])\s+/).forEach(sentence => {
+            if ((buffer + ' ' + sentence).length > MAX_CHUNK_CHARS && buffer) { pieces.push(buffer.trim()); buffer = ''; }
+            buffer += ' ' + sentence;
+        });
+        if (buffer.trim()) pieces.push(buffer.trim());
+    });
+
+    const chunks = [];
+    let current = '';
+    pieces.forEach(piece => {
+        if (current && (current.length + piece.length + 2) > MAX_CHUNK_CHARS) {
+            chunks.push(current);
+            current = current.slice(-OVERLAP_CHARS).replace(/^\S*\s/, '') + '\n\n' + piece;
+        } else {
+            current = current ? current + '\n\n' + piece : piece;
+        }
+    });
+    if (current) chunks.push(current);
+    return chunks;
+}
+
+/**
+ * Splits a legal document into embeddable chunks.
+ * Returns [{ content, chunk_index, section }] where content already carries the source/section prefix.
+ */
+function chunkDocument(text, { title, citation } = {}) {
+    const source = [title, citation].filter(Boolean).join(', ');
+    const chunks = [];
+
+    // Consecutive sections under the same heading (e.g. numbered judgment paragraphs) are
+    // merged while they fit. Tiny fragments under a new heading (a chapter title line, say)
+    // are carried into the next section instead of becoming chunks of their own.
+    const sections = [];
+    let carry = '';
+    splitSections(text).forEach(section => {
+        const previous = sections[sections.length - 1];
+        const lead = carry;
+        const body = lead ? `${lead}\n\n${section.text}` : section.text;
+        carry = '';
+        const fits = previous && (previous.text.length + body.length + 2) <= MAX_CHUNK_CHARS;
+        if (previous && previous.heading === section.heading && (fits || body.length < MIN_CHUNK_CHARS)) {
+            previous.text += '\n\n' + body;
+        } else if (section.text.length < ORPHAN_CHARS && isStructural(section.heading)) {
+            carry = [lead, section.heading, section.text].filter(Boolean).join('\n');
+        } else {
+            sections.push({ heading: section.heading, text: body });
+        }
+    });
+    if (carry) sections.push({ heading: null, text: carry });
+
+    sections.forEach(section => {
+        packParagraphs(section.text).forEach(body => {
+            const prefix = [source, section.heading].filter(Boolean).join(' - ');
+            chunks.push({
+                content: prefix ? `${prefix}\n\n${body}` : body,
+                chunk_index: chunks.length,
+                section: section.heading
+            });
+        });
+    });
+
+    return chunks;
+}
+
+module.exports = { chunkDocument, splitSections, MAX_CHUNK_CHARS };
@@ -0,0 +1,228 @@
+// ==========================================
+// DATA SUBJECT REQUESTS (POPIA)
+// ==========================================
+// Everything the firm holds on a client hangs off their case rows: the case itself plus the tables
+// in CASE_TABLES. A data subject can ask for a copy of it (export), for it to be deleted (erase),
+// or we can strip the identifying details but keep the anonymous case for statistics (anonymise).
+// Every request is written to `data_subject_requests`, which holds no personal details itself.
+//
+// Add new per-case tables to CASE_TABLES so exports and anonymisation keep covering everything.
+
+const { createZip } = require('./zip');
+const { createRedactor, PII_FACT_KEYS } = require('./redaction');
+const { downloadEvidence, removeEvidenceFiles } = require('./evidence');
+
+const CASE_TABLES = [
+    { table: 'intake_sessions', omit: ['token_hash'] },
+    { table: 'letter_revisions' },
+    { table: 'case_documents' },
+    { table: 'case_questions' },
+    { table: 'case_evidence' },
+    { table: 'letter_dispatches' },
+    { table: 'invoices' }
+];
+
+const DEFAULT_DECLINED_RETENTION_DAYS = 90;
+const MAX_SEARCH_RESULTS = 50;
+
+// PostgREST's `or` filter treats commas and brackets as syntax, so they cannot appear in the term
+function cleanSearchTerm(term) {
+    return String(term || '').replace(/[,()*%\\]/g, ' ').trim();
+}
+
+/**
+ * Finds cases that belong to a data subject by (part of) their name, phone number or email.
+ * Resolves to a short summary per case, newest first.
+ */
+async function findSubjectCases(supabase, term) {
+    const q = cleanSearchTerm(term);
+    if (q.length < 3) return [];
+    const { data, error } = await supabase.from('cases')
+        .select('id, client_name, contact_info, status, letter_status, created_at, anonymised_at')
+        .or(`client_name.ilike.%${q}%,contact_info.ilike.%${q}%`)
+        .order('created_at', { ascending: false })
+        .limit(MAX_SEARCH_RESULTS);
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Collects every row held for the given cases. Resolves to the export bundle:
+ * { generated_at, cases: [{ case, intake_sessions, letter_revisions, ... }] }.
+ */
+async function collectSubjectData(supabase, caseIds) {
+    const { data: cases, error } = await supabase.from('cases').select('*').in('id', caseIds).order('created_at', { ascending: true });
+    if (error) throw error;
+
+    const bundle = { generated_at: new Date().toISOString(), cases: [] };
+    for (const caseRow of cases || []) {
+        const entry = { case: caseRow };
+        for (const { table, omit = [] } of CASE_TABLES) {
+            const { data: rows, error: tableErr } = await supabase.from(table).select('*').eq('case_id', caseRow.id).order('created_at', { ascending: true });
+            if (tableErr) throw tableErr;
+            entry[table] = (rows || []).map(row => {
+                const copy = { ...row };
+                omit.forEach(key => delete copy[key]);
+                return copy;
+            });
+        }
+        bundle.cases.push(entry);
+    }
+    return bundle;
+}
+
+/**
+ * The export as a ZIP: the full JSON plus readable copies of the letters, documents and
+ * conversations, and the files the client uploaded, one folder per case.
+ */
+async function buildExportZip(supabase, bundle) {
+    const files = [
+        { name: 'README.txt', content: `Personal information export generated ${bundle.generated_at}.\r\ndata.json holds every record; the case folders hold readable copies of the letters, documents and conversations, and the files that were uploaded.\r\n` },
+        { name: 'data.json', content: JSON.stringify(bundle, null, 2) }
+    ];
+
+    bundle.cases.forEach(entry => {
+        const folder = `case-${entry.case.id}`;
+        if (entry.case.draft_letter) files.push({ name: `${folder}/demand_letter.txt`, content: entry.case.draft_letter });
+        entry.case_documents.forEach(doc => files.push({ name: `${folder}/documents/${doc.doc_type}-${doc.id}.txt`, content: doc.content || '' }));
+
+        const transcript = entry.intake_sessions.flatMap(s => s.transcript || [])
+            .map(turn => `${turn.sender === 'user' ? 'Client' : 'Justine'}: ${turn.text}`);
+        if (transcript.length) files.push({ name: `${folder}/intake_transcript.txt`, content: transcript.join('\r\n') });
+
+        if (entry.case_questions.length) {
+            files.push({ name: `${folder}/questions.txt`, content: entry.case_questions.map(q => `Q: ${q.question}\r\nA: ${q.answer}`).join('\r\n\r\n') });
+        }
+    });
+
+    for (const entry of bundle.cases) {
+        for (const evidence of entry.case_evidence) {
+            files.push({ name: `case-${entry.case.id}/uploads/${evidence.id}-${evidence.file_name}`, content: await downloadEvidence(supabase, evidence.storage_path) });
+        }
+    }
+
+    return createZip(files);
+}
+
+// A paid invoice is a financial record the firm must keep, so those cases can only be anonymised
+async function casesWithPaidInvoices(supabase, caseIds) {
+    const { data, error } = await supabase.from('invoices').select('case_id').in('case_id', caseIds).eq('status', 'paid');
+    if (error) throw error;
+    return [...new Set((data || []).map(i => i.case_id))];
+}
+
+/**
+ * Deletes the cases outright (every CASE_TABLES row goes with them via ON DELETE CASCADE).
+ * Resolves to { erased } or { blocked } listing cases with paid invoices, which are left alone.
+ */
+async function eraseCases(supabase, caseIds) {
+    const blocked = await casesWithPaidInvoices(supabase, caseIds);
+    if (blocked.length) return { blocked };
+
+    await removeEvidenceFiles(supabase, caseIds); // storage objects do not cascade with the rows
+
+    const { data, error } = await supabase.from('cases').delete().in('id', caseIds).select('id');
+    if (error) throw error;
+    return { erased: (data || []).map(c => c.id) };
+}
+
+/**
+ * Strips everything that identifies the client but keeps the case, its merit assessment and
+ * its invoices (amounts only) for reporting. Conversations, letters, documents and uploads are deleted:
+ * they are about the person and cannot be meaningfully scrubbed. Resolves to { anonymised }.
+ */
+async function anonymiseCases(supabase, caseIds) {
+    const { data: cases, error } = await supabase.from('cases').select('*').in('id', caseIds);
+    if (error) throw error;
+
+    const now = new Date().toISOString();
+    const anonymised = [];
+    for (const caseRow of cases || []) {
+        const facts = caseRow.case_facts || {};
+        const redactor = createRedactor({ ...facts, client_name: caseRow.client_name || facts.client_name, contact_info: caseRow.contact_info || facts.contact_info });
+
+        // Free text keeps its meaning for the statistics, with placeholders where the details were
+        const scrubbedFacts = {};
+        Object.entries(facts).forEach(([key, value]) => {
+            if (key in PII_FACT_KEYS) scrubbedFacts[key] = null;
+            else if (key !== 'original_answers') scrubbedFacts[key] = typeof value === 'string' ? redactor.redact(value) : value;
+        });
+
+        await removeEvidenceFiles(supabase, [caseRow.id]);
+        for (const { table } of CASE_TABLES.filter(t => t.table !== 'invoices')) {
+            const { error: delErr } = await supabase.from(table).delete().eq('case_id', caseRow.id);
+            if (delErr) throw delErr;
+        }
+        const { error: invErr } = await supabase.from('invoices').update({ description: 'Demand letter', webhook_payload: null, updated_at: now }).eq('case_id', caseRow.id);
+        if (invErr) throw invErr;
+
+        const { error: caseErr } = await supabase.from('cases').update({
+            client_name: null,
+            contact_info: null,
+            issue_summary: redactor.redact(caseRow.issue_summary || ''),
+            draft_letter: null,
+            case_facts: scrubbedFacts,
+            anonymised_at: now,
+            updated_at: now
+        }).eq('id', caseRow.id);
+        if (caseErr) throw caseErr;
+        anonymised.push(caseRow.id);
+    }
+    return { anonymised };
+}
+
+function retentionDays(settings = {}) {
+    const days = parseInt(settings.declined_retention_days, 10);
+    return Number.isFinite(days) && days > 0 ? days : DEFAULT_DECLINED_RETENTION_DAYS;
+}
+
+/**
+ * Deletes cases where the client declined the letter and nothing has happened for longer than
+ * the retention period (`declined_retention_days` in system_settings). A case with a paid invoice
+ * must keep its accounting record, so it is anonymised instead of holding up the others.
+ * Resolves to { erased, anonymised }.
+ */
+async function purgeDeclinedCases(supabase, settings) {
+    const cutoff = new Date(Date.now() - retentionDays(settings) * 24 * 60 * 60 * 1000).toISOString();
+    const { data: expired, error } = await supabase.from('cases').select('id')
+        .eq('case_facts->>wants_letter', 'false')
+        .is('anonymised_at', null)
+        .lt('updated_at', cutoff);
+    if (error) throw error;
+    if (!expired || expired.length === 0) return { erased: [], anonymised: [] };
+
+    const caseIds = expired.map(c => c.id);
+    const paid = await casesWithPaidInvoices(supabase, caseIds);
+    const erasable = caseIds.filter(id => !paid.includes(id));
+
+    const { erased } = erasable.length ? await eraseCases(supabase, erasable) : { erased: [] };
+    const { anonymised } = paid.length ? await anonymiseCases(supabase, paid) : { anonymised: [] };
+    return { erased: erased || [], anonymised };
+}
+
+/**
+ * Audit trail entry. `actor` is the staff user (null for the scheduled purge).
+ */
+async function logRequest(supabase, { action, caseIds, actor, details }) {
+    const { error } = await supabase.from('data_subject_requests').insert({
+        action,
+        case_ids: caseIds,
+        performed_by: actor ? actor.id : null,
+        performed_by_email: actor ? actor.email : 'system',
+        details: details || null
+    });
+    if (error) console.error("Data subject log failed:", error.message);
+}
+
+module.exports = {
+    CASE_TABLES,
+    DEFAULT_DECLINED_RETENTION_DAYS,
+    findSubjectCases,
+    collectSubjectData,
+    buildExportZip,
+    eraseCases,
+    anonymiseCases,
+    retentionDays,
+    purgeDeclinedCases,
+    logRequest
+};
@@ -0,0 +1,211 @@
+// ==========================================
+// CCMA REFERRAL DEADLINE ENGINE
+// ==========================================
+// Section 191 of the Labour Relations Act gives an employee:
+//   - 30 days from the date of dismissal to refer an unfair dismissal dispute
+//   - 90 days from the act (or from becoming aware of it) for an unfair labour practice
+// Periods are counted in calendar days, excluding the first day. If the last day
+// lands on a Saturday, Sunday or public holiday it rolls over to the next working day.
+// A referral made after the deadline needs a condonation application.
+//
+// The demand letter gives the employer 7 days to respond, counted the same way from the day it
+// was sent. When that window closes with no recorded response, the next step is a CCMA referral.
+
+const DISMISSAL_REFERRAL_DAYS = 30;
+const UNFAIR_LABOUR_PRACTICE_REFERRAL_DAYS = 90;
+const EMPLOYER_RESPONSE_DAYS = 7;
+
+// Once-off holidays declared by proclamation (e.g. election days)
+const DECLARED_PUBLIC_HOLIDAYS = ['2024-05-29'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SAST_OFFSET_MS = 2 * 60 * 60 * 1000; // South Africa has no daylight saving
+
+function toISODate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * DAY_MS);
+}
+
+// Accepts "YYYY-MM-DD" (what the intake date picker sends) or anything Date can parse.
+// Always returns a UTC midnight so day arithmetic is not thrown off by time zones.
+function parseDate(value) {
+    if (!value) return null;
+    const isoMatch = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (isoMatch) {
+        return new Date(Date.UTC(Number(isoMatch[1]), Number(isoMatch[2]) - 1, Number(isoMatch[3])));
+    }
+    const parsed = new Date(value);
+    if (isNaN(parsed.getTime())) return null;
+    return new Date(Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate()));
+}
+
+// Today's date in South Africa, as a UTC midnight
+function todayInSA(now = new Date()) {
+    const local = new Date(now.getTime() + SAST_OFFSET_MS);
+    return new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()));
+}
+
+// Anonymous Gregorian algorithm for Easter Sunday
+function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+const holidayCache = {};
+
+// Returns a Set of "YYYY-MM-DD" strings for the Public Holidays Act, including
+// the rule that a holiday falling on a Sunday is observed on the Monday.
+function getPublicHolidays(year) {
+    if (holidayCache[year]) return holidayCache[year];
+
+    const fixed = ['01-01', '03-21', '04-27', '05-01', '06-16', '08-09', '09-24', '12-16', '12-25', '12-26'];
+    const dates = fixed.map(md => new Date(`${year}-${md}T00:00:00Z`));
+
+    const easter = easterSunday(year);
+    dates.push(addDays(easter, -2)); // Good Friday
+    dates.push(addDays(easter, 1));  // Family Day
+
+    const holidays = new Set(dates.map(toISODate));
+    dates.forEach(d => {
+        if (d.getUTCDay() === 0) {
+            // Skip forward past any holiday already on the Monday (e.g. 25 Dec on a Sunday pushes to 27 Dec)
+            let observed = addDays(d, 1);
+            while (holidays.has(toISODate(observed))) observed = addDays(observed, 1);
+            holidays.add(toISODate(observed));
+        }
+    });
+    DECLARED_PUBLIC_HOLIDAYS.filter(d => d.startsWith(String(year))).forEach(d => holidays.add(d));
+
+    holidayCache[year] = holidays;
+    return holidays;
+}
+
+function isBusinessDay(date) {
+    const weekday = date.getUTCDay();
+    if (weekday === 0 || weekday === 6) return false;
+    return !getPublicHolidays(date.getUTCFullYear()).has(toISODate(date));
+}
+
+// Works out which referral clock applies to the intake answers
+function classifyDispute(facts) {
+    const status = facts.employment_status;
+    if (status === 'Dismissed') return 'unfair_dismissal';
+    if (status === 'Resigned') {
+        // Only a constructive dismissal turns a resignation into a dismissal dispute
+        return (facts.constructive_dismissal === true || facts.constructive_dismissal === 'true') ? 'unfair_dismissal' : null;
+    }
+    if (status === 'Employed') return 'unfair_labour_practice';
+    return null;
+}
+
+function urgencyFor(daysRemaining) {
+    if (daysRemaining < 0) return 'overdue';
+    if (daysRemaining <= 7) return 'critical';
+    if (daysRemaining <= 14) return 'urgent';
+    return 'ok';
+}
+
+/**
+ * Calculates the CCMA referral deadline for a case.
+ * Returns null-filled fields (urgency "unknown") when there is no date or no referable dispute.
+ */
+function calculateReferralDeadline(facts, now = new Date()) {
+    const disputeType = classifyDispute(facts || {});
+    const incidentDate = parseDate(facts && facts.incident_date);
+
+    const result = {
+        dispute_type: disputeType,
+        referral_days: null,
+        incident_date: incidentDate ? toISODate(incidentDate) : null,
+        deadline_date: null,
+        days_remaining: null,
+        condonation_required: null,
+        urgency: 'unknown',
+        calculated_at: now.toISOString()
+    };
+
+    if (!disputeType || !incidentDate) return result;
+
+    const referralDays = disputeType === 'unfair_dismissal' ? DISMISSAL_REFERRAL_DAYS : UNFAIR_LABOUR_PRACTICE_REFERRAL_DAYS;
+
+    // Exclude the first day, include the last, then roll past weekends and public holidays
+    let deadline = addDays(incidentDate, referralDays);
+    while (!isBusinessDay(deadline)) deadline = addDays(deadline, 1);
+
+    const daysRemaining = Math.round((deadline.getTime() - todayInSA(now).getTime()) / DAY_MS);
+
+    result.referral_days = referralDays;
+    result.deadline_date = toISODate(deadline);
+    result.days_remaining = daysRemaining;
+    result.condonation_required = daysRemaining < 0;
+    result.urgency = urgencyFor(daysRemaining);
+    return result;
+}
+
+/**
+ * Calculates the employer's response window for a dispatched letter.
+ * `awaiting_response` is true while the clock runs; `overdue` once it has run out with no response.
+ */
+function calculateResponseWindow(sentAt, respondedAt, now = new Date()) {
+    const sentDate = sentAt ? todayInSA(new Date(sentAt)) : null;
+    const result = {
+        response_days: EMPLOYER_RESPONSE_DAYS,
+        sent_date: sentDate ? toISODate(sentDate) : null,
+        due_date: null,
+        days_remaining: null,
+        responded_at: respondedAt || null,
+        awaiting_response: false,
+        overdue: false
+    };
+    if (!sentDate) return result;
+
+    let due = addDays(sentDate, EMPLOYER_RESPONSE_DAYS);
+    while (!isBusinessDay(due)) due = addDays(due, 1);
+
+    result.due_date = toISODate(due);
+    result.days_remaining = Math.round((due.getTime() - todayInSA(now).getTime()) / DAY_MS);
+    result.awaiting_response = !respondedAt;
+    result.overdue = !respondedAt && result.days_remaining < 0;
+    return result;
+}
+
+// Plain-English summary for the LLM prompts
+function describeDeadline(deadline) {
+    if (!deadline || !deadline.deadline_date) {
+        return "No CCMA referral deadline could be calculated (no incident date, or no referable dispute).";
+    }
+    const label = deadline.dispute_type === 'unfair_dismissal' ? 'unfair dismissal' : 'unfair labour practice';
+    if (deadline.condonation_required) {
+        return `The ${deadline.referral_days}-day deadline to refer this ${label} dispute to the CCMA was ${deadline.deadline_date} and has passed by ${Math.abs(deadline.days_remaining)} day(s). A referral now requires a condonation application showing good cause for the delay.`;
+    }
+    return `The ${deadline.referral_days}-day deadline to refer this ${label} dispute to the CCMA is ${deadline.deadline_date}, which is ${deadline.days_remaining} day(s) from today. Urgency: ${deadline.urgency}.`;
+}
+
+module.exports = {
+    DISMISSAL_REFERRAL_DAYS,
+    todayInSA,
+    UNFAIR_LABOUR_PRACTICE_REFERRAL_DAYS,
+    EMPLOYER_RESPONSE_DAYS,
+    getPublicHolidays,
+    isBusinessDay,
+    classifyDispute,
+    calculateReferralDeadline,
+    calculateResponseWindow,
+    describeDeadline
+};
@@ -0,0 +1,132 @@
+// The original intake script, used as version 0 until an admin publishes a flow from the editor.
+// Every node that stores an answer carries a `factLabel` so the admin grid shows a readable name.
+// Free-text answers that are names or contact details are marked `translate: false` so they are
+// stored exactly as typed; everything else is translated to English at evaluation time.
+
+const DEFAULT_FLOW = {
+    START: {
+        msg: "Hi there! I'm Justine, a Labour Law Assistant. I'm here to help you understand your rights. To start, what is your current work situation?",
+        type: "buttons",
+        options: [
+            { label: "I was fired / dismissed", next: "FIRED_DATE", val: "Dismissed" },
+            { label: "I am still employed (but having issues)", next: "EMP_ISSUE", val: "Employed" },
+            { label: "I resigned / quit", next: "RESIGN_DATE", val: "Resigned" }
+        ],
+        saveAs: "employment_status",
+        factLabel: "Employment Status"
+    },
+
+    // PATH A: Fired
+    FIRED_DATE: { msg: "I'm sorry to hear that. The law has strict time limits. What was the exact date you were dismissed?", type: "date", next: "FIRED_HEARING", saveAs: "incident_date", factLabel: "Incident Date" },
+    FIRED_HEARING: { msg: "Did your employer hold a formal disciplinary hearing and give you a chance to defend yourself before firing you?", type: "buttons", options: [{ label: "Yes", next: "FIRED_REASON", val: true }, { label: "No", next: "FIRED_REASON", val: false }], saveAs: "hearing_held", factLabel: "Hearing Held?" },
+    FIRED_REASON: { msg: "In a few short sentences, what reason did they give for firing you?", type: "text", next: "CONTRACT_TYPE", saveAs: "incident_description", factLabel: "Incident Description" },
+
+    // PATH B: Employed
+    EMP_ISSUE: { msg: "I understand. What is the main issue you are facing right now?", type: "buttons", options: [{ label: "Suspended", next: "EMP_PAY", val: "Suspended" }, { label: "Facing a hearing", next: "EMP_DATE", val: "Facing a hearing" }, { label: "Unpaid wages", next: "EMP_DATE", val: "Unpaid wages" }, { label: "Unfair warning", next: "EMP_DATE", val: "Unfair warning" }], saveAs: "incident_description", factLabel: "Incident Description" },
+    EMP_PAY: { msg: "While you are on suspension, is your employer still paying your normal salary?", type: "buttons", options: [{ label: "Yes", next: "EMP_DATE", val: true }, { label: "No", next: "EMP_DATE", val: false }], saveAs: "paid_suspension", factLabel: "Paid Suspension?" },
+    EMP_DATE: { msg: "On what date did this happen (or start)? This helps us check the legal time limits.", type: "date", next: "CONTRACT_TYPE", saveAs: "incident_date", factLabel: "Incident Date" },
+
+    // PATH C: Resigned
+    RESIGN_DATE: { msg: "What was the exact date you officially resigned?", type: "date", next: "RESIGN_CONST", saveAs: "incident_date", factLabel: "Incident Date" },
+    RESIGN_CONST: { msg: "Did you resign because your employer made your working environment so intolerable that you felt you had absolutely no choice but to leave?", type: "buttons", options: [{ label: "Yes", next: "FIRED_REASON", val: true }, { label: "No", next: "FIRED_REASON", val: false }], saveAs: "constructive_dismissal", factLabel: "Constructive Dismissal?" },
+
+    // MERGE: Universal Context
+    CONTRACT_TYPE: { msg: "What type of employment contract do you have?", type: "buttons", options: [{ label: "Permanent", next: "SECTOR", val: "Permanent" }, { label: "Fixed Term Contract", next: "SECTOR", val: "Fixed Term" }, { label: "Independent Contractor", next: "SECTOR", val: "Contractor" }], saveAs: "contract_type", factLabel: "Contract Type" },
+    SECTOR: { msg: "What industry or sector do you work in?", type: "buttons", options: [{ label: "Retail", next: "COMPANY_NAME", val: "Retail" }, { label: "Mining", next: "COMPANY_NAME", val: "Mining" }, { label: "Security", next: "COMPANY_NAME", val: "Security" }, { label: "Metal & Engineering", next: "COMPANY_NAME", val: "Metal & Engineering" }, { label: "Domestic", next: "COMPANY_NAME", val: "Domestic" }, { label: "Other", next: "COMPANY_NAME", val: "Other" }], saveAs: "sector", factLabel: "Sector" },
+
+    // LOGISTICS
+    COMPANY_NAME: { msg: "What is the exact name of the company you work(ed) for?", type: "text", next: "COMPANY_CONTACT", saveAs: "employer_name", factLabel: "Employer Name", translate: false },
+    COMPANY_CONTACT: { msg: "Please provide an email address or phone number for the company's HR department or your manager.", type: "text", next: "EVIDENCE", saveAs: "employer_contact_details", factLabel: "Employer Contact", translate: false },
+    EVIDENCE: { msg: "If you have any documents about this, such as a dismissal letter, a hearing notice, a written warning or a payslip, you can upload them here (PDF, text file or photo). This is optional.", type: "upload", next: "CLIENT_NAME" },
+    CLIENT_NAME: { msg: "Almost done! What is your full name?", type: "text", next: "CLIENT_PHONE", saveAs: "client_name", factLabel: "Client Name", translate: false },
+    CLIENT_PHONE: { msg: "And finally, what is the best cell phone number to reach you on?", type: "text", next: "HANDOFF", saveAs: "contact_info", factLabel: "Client Contact", translate: false },
+
+    // AI HANDOFF
+    HANDOFF: { action: "evaluate" }
+};
+
+// Client-facing wording per language, keyed by state. `options` follow the order of the English options.
+// Attached to each node as `i18n` below, which is the same shape an admin-edited flow stores.
+const TRANSLATIONS = {
+    zu: {
+        START: { msg: "Sawubona! NginguJustine, umsizi wezomthetho wezabasebenzi. Ngilapha ukukusiza uqonde amalungelo akho. Ukuqala, sinjani isimo sakho somsebenzi njengamanje?", options: ["Ngixoshiwe emsebenzini", "Ngisasebenza (kodwa nginezinkinga)", "Ngisule emsebenzini"] },
+        FIRED_DATE: { msg: "Ngiyaxolisa ukuzwa lokho. Umthetho unemikhawulo yesikhathi eqinile. Yayiluphi usuku oluqondile owaxoshwa ngalo?" },
+        FIRED_HEARING: { msg: "Ingabe umqashi wakho wabamba ukulalelwa kwecala lokuziphatha okusemthethweni futhi wakunika ithuba lokuzivikela ngaphambi kokukuxosha?", options: ["Yebo", "Cha"] },
+        FIRED_REASON: { msg: "Ngemisho embalwa emifushane, yisiphi isizathu abakunika sona sokukuxosha?" },
+        EMP_ISSUE: { msg: "Ngiyaqonda. Iyiphi inkinga enkulu obhekene nayo njengamanje?", options: ["Ngimisiwe emsebenzini", "Ngibhekene nokulalelwa kwecala", "Umholo ongakhokhelwe", "Isexwayiso esingalungile"] },
+        EMP_PAY: { msg: "Ngesikhathi umisiwe emsebenzini, ingabe umqashi wakho usakukhokhela umholo wakho ojwayelekile?", options: ["Yebo", "Cha"] },
+        EMP_DATE: { msg: "Kwenzeka (noma kwaqala) ngaluphi usuku? Lokhu kusisiza sihlole imikhawulo yesikhathi yomthetho." },
+        RESIGN_DATE: { msg: "Yayiluphi usuku oluqondile owasula ngalo ngokusemthethweni?" },
+        RESIGN_CONST: { msg: "Ingabe wasula ngoba umqashi wakho wenza isimo sakho somsebenzi sangabekezeleleki kangangokuthi wazizwa ungenayo enye indlela ngaphandle kokuhamba?", options: ["Yebo", "Cha"] },
+        CONTRACT_TYPE: { msg: "Unaluphi uhlobo lwenkontileka yomsebenzi?", options: ["Unomphela", "Inkontileka yesikhathi esinqunyiwe", "Usonkontileka ozimele"] },
+        SECTOR: { msg: "Usebenza kumkhakha noma embonini enjani?", options: ["Ukudayisa", "Ezimayini", "Ezokuphepha", "Ezensimbi Nobunjiniyela", "Umsebenzi wasekhaya", "Okunye"] },
+        COMPANY_NAME: { msg: "Lithini igama eliqondile lenkampani osebenzela (noma owawusebenzela) yona?" },
+        COMPANY_CONTACT: { msg: "Sicela unikeze ikheli le-imeyili noma inombolo yocingo yomnyango we-HR wenkampani noma yomphathi wakho." },
+        EVIDENCE: { msg: "Uma unemibhalo ephathelene nalokhu, njengencwadi yokuxoshwa, isaziso sokulalelwa kwecala, isexwayiso esibhaliwe noma i-payslip, ungayilayisha lapha (i-PDF, ifayela lombhalo noma isithombe). Lokhu akuphoqelekile." },
+        CLIENT_NAME: { msg: "Sesicishe siqede! Ngubani igama lakho eliphelele?" },
+        CLIENT_PHONE: { msg: "Okokugcina, iyiphi inombolo yeselula engcono yokukuthola?" }
+    },
+    xh: {
+        START: { msg: "Molo! NdinguJustine, uMncedisi woMthetho wezaBasebenzi. Ndilapha ukukunceda uqonde amalungelo akho. Okokuqala, injani imeko yakho yomsebenzi ngoku?", options: ["Ndigxothiwe emsebenzini", "Ndisasebenza (kodwa ndineengxaki)", "Ndirhoxile emsebenzini"] },
+        FIRED_DATE: { msg: "Ndiyaxolisa ukuva oko. Umthetho unemida yexesha engqongqo. Wawuwuphi umhla ochanekileyo owagxothwa ngawo?" },
+        FIRED_HEARING: { msg: "Ngaba umqeshi wakho wabamba uphicotho lwezoluleko olusesikweni waza wakunika ithuba lokuzikhusela phambi kokuba akugxothe?", options: ["Ewe", "Hayi"] },
+        FIRED_REASON: { msg: "Ngezivakalisi ezimbalwa ezimfutshane, sesiphi isizathu abakunika sona sokukugxotha?" },
+        EMP_ISSUE: { msg: "Ndiyaqonda. Yeyiphi ingxaki ephambili ojongene nayo ngoku?", options: ["Ndinqunyanyisiwe emsebenzini", "Ndijongene nophicotho", "Umvuzo ongahlawulwanga", "Isilumkiso esingalunganga"] },
+        EMP_PAY: { msg: "Ngexesha unqunyanyisiwe, ngaba umqeshi wakho usakuhlawula umvuzo wakho oqhelekileyo?", options: ["Ewe", "Hayi"] },
+        EMP_DATE: { msg: "Kwenzeka (okanye kwaqala) ngowuphi umhla? Oku kusinceda sijonge imida yexesha esemthethweni." },
+        RESIGN_DATE: { msg: "Wawuwuphi umhla ochanekileyo owarhoxa ngawo ngokusesikweni?" },
+        RESIGN_CONST: { msg: "Ngaba warhoxa ngenxa yokuba umqeshi wakho wenza imeko yakho yomsebenzi yanganyamezeleki kangangokuba waziva ungenalo elinye ithuba ngaphandle kokuhamba?", options: ["Ewe", "Hayi"] },
+        CONTRACT_TYPE: { msg: "Loluphi uhlobo lwekhontrakthi yengqesho onalo?", options: ["Esisigxina", "Ikhontrakthi yexesha elimiselweyo", "Ikontraka ezimeleyo"] },
+        SECTOR: { msg: "Usebenza kweliphi ishishini okanye icandelo?", options: ["Ukuthengisa", "Imigodi", "Ukhuseleko", "Isinyithi nobuNjineli", "Umsebenzi wasekhaya", "Okunye"] },
+        COMPANY_NAME: { msg: "Lithini igama elichanekileyo lenkampani osebenzela (okanye owawusebenzela) yona?" },
+        COMPANY_CONTACT: { msg: "Nceda unike idilesi ye-imeyile okanye inombolo yefowuni yecandelo le-HR lenkampani okanye lomphathi wakho." },
+        EVIDENCE: { msg: "Ukuba unamaxwebhu amalunga noku, njengeleta yokugxothwa, isaziso sokuphulaphulwa kwetyala, isilumkiso esibhaliweyo okanye i-payslip, ungawalayisha apha (i-PDF, ifayile yombhalo okanye ifoto). Oku akunyanzelekanga." },
+        CLIENT_NAME: { msg: "Sele siphantse sigqibe! Ngubani igama lakho elipheleleyo?" },
+        CLIENT_PHONE: { msg: "Okokugqibela, yeyiphi inombolo yeselfowuni efanelekileyo yokufikelela kuwe?" }
+    },
+    af: {
+        START: { msg: "Hallo! Ek is Justine, 'n Arbeidsreg-assistent. Ek is hier om jou te help om jou regte te verstaan. Om te begin, wat is jou huidige werksituasie?", options: ["Ek is afgedank", "Ek is nog in diens (maar het probleme)", "Ek het bedank"] },
+        FIRED_DATE: { msg: "Ek is jammer om dit te hoor. Die wet het streng tydsbeperkings. Wat was die presiese datum waarop jy afgedank is?" },
+        FIRED_HEARING: { msg: "Het jou werkgewer 'n formele dissiplinêre verhoor gehou en jou 'n kans gegee om jouself te verdedig voordat jy afgedank is?", options: ["Ja", "Nee"] },
+        FIRED_REASON: { msg: "Watter rede het hulle gegee om jou af te dank? Beskryf dit kortliks in 'n paar sinne." },
+        EMP_ISSUE: { msg: "Ek verstaan. Wat is die hoofprobleem waarmee jy tans te kampe het?", options: ["Geskors", "Ek staan 'n verhoor in die gesig", "Onbetaalde lone", "Onregverdige waarskuwing"] },
+        EMP_PAY: { msg: "Betaal jou werkgewer steeds jou normale salaris terwyl jy geskors is?", options: ["Ja", "Nee"] },
+        EMP_DATE: { msg: "Op watter datum het dit gebeur (of begin)? Dit help ons om die wetlike tydsbeperkings na te gaan." },
+        RESIGN_DATE: { msg: "Wat was die presiese datum waarop jy amptelik bedank het?" },
+        RESIGN_CONST: { msg: "Het jy bedank omdat jou werkgewer jou werksomgewing so ondraaglik gemaak het dat jy gevoel het jy het geen ander keuse gehad as om te gaan nie?", options: ["Ja", "Nee"] },
+        CONTRACT_TYPE: { msg: "Watter soort dienskontrak het jy?", options: ["Permanent", "Vastetermynkontrak", "Onafhanklike kontrakteur"] },
+        SECTOR: { msg: "In watter bedryf of sektor werk jy?", options: ["Kleinhandel", "Mynbou", "Sekuriteit", "Metaal en Ingenieurswese", "Huishoudelik", "Ander"] },
+        COMPANY_NAME: { msg: "Wat is die presiese naam van die maatskappy waarvoor jy werk (of gewerk het)?" },
+        COMPANY_CONTACT: { msg: "Verskaf asseblief 'n e-posadres of telefoonnommer vir die maatskappy se MH-afdeling of jou bestuurder." },
+        EVIDENCE: { msg: "As jy enige dokumente hieroor het, soos 'n ontslagbrief, 'n kennisgewing van 'n verhoor, 'n skriftelike waarskuwing of 'n betaalstrokie, kan jy dit hier oplaai (PDF, tekslêer of foto). Dit is opsioneel." },
+        CLIENT_NAME: { msg: "Amper klaar! Wat is jou volle naam?" },
+        CLIENT_PHONE: { msg: "En laastens, wat is die beste selfoonnommer om jou op te bereik?" }
+    },
+    st: {
+        START: { msg: "Dumela! Ke nna Justine, Mothusi wa Molao wa Basebetsi. Ke mona ho o thusa ho utlwisisa ditokelo tsa hao. Ho qala, boemo ba hao ba mosebetsi ke bofe hona jwale?", options: ["Ke lelekilwe mosebetsing", "Ke sa ntse ke sebetsa (empa ke na le mathata)", "Ke itokolotse mosebetsing"] },
+        FIRED_DATE: { msg: "Ke maswabi ho utlwa seo. Molao o na le meedi e thata ya nako. E ne e le letsatsi lefe hantle leo o lelekilweng ka lona?" },
+        FIRED_HEARING: { msg: "Na mohiri wa hao o ile a tshwara nyewe ya kgalemelo e semmuso mme a o fa monyetla wa ho itshireletsa pele a o leleka?", options: ["E", "Tjhe"] },
+        FIRED_REASON: { msg: "Ka dipolelo tse mmalwa tse kgutshwane, ke lebaka lefe leo ba o fileng lona la ho o leleka?" },
+        EMP_ISSUE: { msg: "Ke a utlwisisa. Ke bothata bofe bo boholo boo o tobaneng le bona hona jwale?", options: ["Ke emisitswe mosebetsing", "Ke tobane le nyewe ya kgalemelo", "Moputso o sa lefuwang", "Temoso e sa lokang"] },
+        EMP_PAY: { msg: "Ha o ntse o emisitswe, na mohiri wa hao o sa ntse a o lefa moputso wa hao o tlwaelehileng?", options: ["E", "Tjhe"] },
+        EMP_DATE: { msg: "Ho etsahetse (kapa ho qadile) ka letsatsi lefe? Sena se re thusa ho hlahloba meedi ya nako ya molao." },
+        RESIGN_DATE: { msg: "E ne e le letsatsi lefe hantle leo o itokolotseng ka lona ka semmuso?" },
+        RESIGN_CONST: { msg: "Na o itokolotse hobane mohiri wa hao o entse hore tikoloho ya hao ya mosebetsi e se ke ya mamelleha hoo o ileng wa ikutlwa o se na kgetho e nngwe ntle le ho tsamaya?", options: ["E", "Tjhe"] },
+        CONTRACT_TYPE: { msg: "O na le mofuta ofe wa konteraka ya mosebetsi?", options: ["Ya ka mehla", "Konteraka ya nako e behilweng", "Rakonteraka ya ikemetseng"] },
+        SECTOR: { msg: "O sebetsa indastering kapa lekaleng lefe?", options: ["Thekiso", "Merafo", "Tshireletso", "Tshepe le Boenjiniere", "Mosebetsi wa lapeng", "Tse ding"] },
+        COMPANY_NAME: { msg: "Lebitso le nepahetseng la khamphani eo o e sebeletsang (kapa o neng o e sebeletsa) ke mang?" },
+        COMPANY_CONTACT: { msg: "Ka kopo fana ka aterese ya imeile kapa nomoro ya mohala ya lefapha la HR la khamphani kapa ya mookamedi wa hao." },
+        EVIDENCE: { msg: "Haeba o na le ditokomane tse amanang le sena, jwalo ka lengolo la ho lelekwa, tsebiso ya ho mamelwa ha nyewe, temoso e ngotsweng kapa payslip, o ka di kenya mona (PDF, faele ya mongolo kapa setshwantsho). Sena ha se qobellwe." },
+        CLIENT_NAME: { msg: "Re batla re qetile! Lebitso la hao le feletseng ke mang?" },
+        CLIENT_PHONE: { msg: "Qetellong, ke nomoro efe ya selefounu e molemo ho o fumana ka yona?" }
+    }
+};
+
+Object.entries(TRANSLATIONS).forEach(([lang, states]) => {
+    Object.entries(states).forEach(([state, text]) => {
+        const node = DEFAULT_FLOW[state];
+        node.i18n = { ...(node.i18n || {}), [lang]: text };
+    });
+});
+
+module.exports = { DEFAULT_FLOW };
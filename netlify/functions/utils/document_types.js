@@ -0,0 +1,196 @@
+// ==========================================
+// DOCUMENT TYPE CATALOGUE
+// ==========================================
+// Everything the drafter can write for a case. Each type declares the case_facts it cannot be
+// drafted without, when it is the natural next document (`suggested`), the heading printed on
+// export, and its default prompt template.
+//
+// The demand letter stays on the case itself (`draft_letter`) because payment, dispatch and the
+// letter history hang off it. Every other type is stored in `case_documents`, several per case.
+
+const FACT_LABELS = {
+    client_name: "Client Name",
+    contact_info: "Client Contact",
+    employer_name: "Employer Name",
+    employer_contact_details: "Employer Contact",
+    incident_date: "Incident Date",
+    incident_description: "Incident Description",
+    employment_status: "Employment Status"
+};
+
+const isYes = value => value === true || value === 'true';
+
+function isDismissalDispute(facts) {
+    return facts.employment_status === 'Dismissed' || (facts.employment_status === 'Resigned' && isYes(facts.constructive_dismissal));
+}
+
+// --- PROMPT BUILDING BLOCKS ---
+// Each type's `prompt` is the built-in version 0 of its template; admins can publish their own
+// wording from the prompt editor. Placeholders are filled in by prompt_templates.js.
+
+const FIRM_BLOCK = `--- FIRM LETTERHEAD INFO ---
+Firm Name: {{firm.name}}
+Firm Address: {{firm.address}}
+Firm Contact: {{firm.contact}}
+----------------------------`;
+
+const FACTS_BLOCK = `CLIENT NAME: {{facts.client_name}}
+CLIENT CONTACT: {{facts.contact_info}}
+EMPLOYER NAME: {{facts.employer_name}}
+EMPLOYER CONTACT: {{facts.employer_contact_details}}
+EMPLOYMENT STATUS: {{facts.employment_status}}
+CONTRACT TYPE: {{facts.contract_type}}
+SECTOR: {{facts.sector}}
+DATE OF INCIDENT: {{facts.incident_date}}
+HEARING HELD: {{facts.hearing_held}}
+INCIDENT SUMMARY: {{facts.incident_description}}`;
+
+const LETTERHEAD_RULE = `Do NOT type out the FIRM LETTERHEAD INFO. It is added automatically when the approved document is exported to PDF/DOCX.`;
+const PLAIN_TEXT_RULE = `Return ONLY the document text. Do not include markdown blocks, intro, or outro text.`;
+
+// --- CATALOGUE ---
+
+const DOCUMENT_TYPES = {
+    demand_letter: {
+        label: "Demand Letter (Without Prejudice)",
+        description: "Formal demand to the employer with a 7-day deadline before a CCMA referral.",
+        heading: "WITHOUT PREJUDICE",
+        requiredFacts: ['client_name', 'employer_name', 'incident_date', 'incident_description'],
+        suggested: facts => isYes(facts.wants_letter),
+        prompt: `You are a Senior South African Labour Lawyer working for a firm named "{{firm.name}}".
+Write a formal, highly professional "Without Prejudice" demand letter based on the following case facts.
+
+${FIRM_BLOCK}
+
+${FACTS_BLOCK}
+
+REQUIREMENTS:
+1. ${LETTERHEAD_RULE} Do not type a "WITHOUT PREJUDICE" heading either; it is added on export.
+2. Start the letter with today's date, {{today}}, followed by the Employer's name and contact details.
+3. Format as a formal letter addressed to the Employer.
+4. Clearly state the dispute (e.g., Unfair Dismissal, Unfair Labour Practice) based on the summary.
+5. Make a firm demand (e.g., reinstatement, compensation, or rectification).
+6. Conclude by stating that failure to respond favorably within 7 days will result in the matter being referred to the CCMA (Commission for Conciliation, Mediation and Arbitration) or Labour Court.
+7. Sign off as "{{firm.name}}".
+8. ${PLAIN_TEXT_RULE}`
+    },
+
+    grievance_letter: {
+        label: "Grievance Letter",
+        description: "Formal internal grievance for an employee still in service (e.g. an unfair warning or suspension).",
+        heading: "FORMAL GRIEVANCE",
+        requiredFacts: ['client_name', 'employer_name', 'incident_date', 'incident_description'],
+        suggested: facts => facts.employment_status === 'Employed' && ['Unfair warning', 'Suspended', 'Unpaid wages'].includes(facts.incident_description),
+        prompt: `You are a Senior South African Labour Lawyer at "{{firm.name}}", preparing a formal grievance for a client who is still employed.
+The grievance is lodged by the employee personally, in the first person, under the employer's grievance procedure.
+
+${FACTS_BLOCK}
+
+REQUIREMENTS:
+1. ${LETTERHEAD_RULE}
+2. Start with today's date, {{today}}, and address it to the employer's HR department or the employee's manager.
+3. Use the subject line "Formal Grievance: [short description]".
+4. Set out the facts of the grievance in numbered paragraphs, with the date it arose.
+5. Explain why the conduct is unfair, referring to the employer's duty of fair treatment (an unfair labour practice under section 186(2) of the Labour Relations Act where it applies).
+6. State the specific outcome the employee wants (e.g. the warning withdrawn, the suspension lifted, outstanding wages paid).
+7. Ask for a grievance meeting within 5 working days and reserve the employee's right to refer the dispute to the CCMA if it is not resolved.
+8. End with a signature block for the employee (name and contact details). Do not sign it on behalf of the firm.
+9. ${PLAIN_TEXT_RULE}`
+    },
+
+    hearing_notes: {
+        label: "Hearing Representation Notes",
+        description: "Preparation notes for a client facing a disciplinary hearing.",
+        heading: "PRIVILEGED & CONFIDENTIAL: HEARING PREPARATION NOTES",
+        requiredFacts: ['client_name', 'employer_name', 'incident_description'],
+        suggested: facts => facts.employment_status === 'Employed' && facts.incident_description === 'Facing a hearing',
+        prompt: `You are a Senior South African Labour Lawyer at "{{firm.name}}" preparing an employee to face an internal disciplinary hearing.
+Write practical representation notes the client (or their representative) can use at the hearing.
+
+${FACTS_BLOCK}
+
+REQUIREMENTS:
+1. ${LETTERHEAD_RULE}
+2. Use these headings in order: "Summary of the Matter", "Procedural Rights", "Procedural Checks", "Substantive Defence", "Questions to Put to the Employer's Witnesses", "Mitigation (if found guilty)", "After the Hearing".
+3. Procedural Rights must cover the Schedule 8 Code of Good Practice: Dismissal (notice of the charges, reasonable time to prepare, representation by a fellow employee or shop steward, an interpreter, calling witnesses, an impartial chairperson).
+4. Procedural Checks is a checklist of things the employer must have done, so the client can object on record if they were not.
+5. Keep it practical and in plain English. Where the facts are thin, say what the client should find out before the hearing.
+6. Note that the client may refer a dispute to the CCMA within 30 days if they are dismissed, or 90 days for an unfair labour practice.
+7. ${PLAIN_TEXT_RULE}`
+    },
+
+    lra_7_11: {
+        label: "CCMA Referral (LRA Form 7.11)",
+        description: "Completed LRA Form 7.11 to refer a dispute to the CCMA for conciliation.",
+        heading: "LRA FORM 7.11: REFERRAL OF A DISPUTE TO THE CCMA FOR CONCILIATION",
+        requiredFacts: ['client_name', 'contact_info', 'employer_name', 'employer_contact_details', 'incident_date', 'incident_description', 'employment_status'],
+        suggested: (facts, context) => isDismissalDispute(facts) || !!(context.dispatch && context.dispatch.response_window && context.dispatch.response_window.overdue),
+        prompt: `You are a Senior South African Labour Lawyer at "{{firm.name}}". Complete LRA Form 7.11 (Referral of a Dispute to the CCMA for Conciliation) for the client below, who is the referring party.
+
+${FACTS_BLOCK}
+
+CCMA REFERRAL DEADLINE: {{referral_deadline}}
+
+REQUIREMENTS:
+1. ${LETTERHEAD_RULE}
+2. Follow the parts of the form in order, each as a heading with its fields as "Field: value" lines:
+   PART A - Details of the party referring the dispute (employee name, contact details, representative: {{firm.name}}, {{firm.contact}}).
+   PART B - Details of the other party (employer name, contact details/address).
+   PART C - Dispute details (nature of the dispute, e.g. unfair dismissal, constructive dismissal or unfair labour practice; the relevant section of the Labour Relations Act; the date the dispute arose; the workplace sector).
+   PART D - Summary of the facts (short numbered paragraphs) and the outcome sought (e.g. reinstatement, re-employment or compensation).
+   PART E - Condonation: state whether the referral is late. {{condonation_note}}
+   PART F - Confirmation that a copy was served on the other party, with blanks for the method and date of service.
+3. Leave a clearly marked blank ("__________") for any field the facts do not answer. Do not invent ID numbers, addresses or dates.
+4. End with signature lines for the referring party and the representative.
+5. ${PLAIN_TEXT_RULE}`
+    },
+
+    condonation_application: {
+        label: "Condonation Application",
+        description: "Founding affidavit asking the CCMA to condone a late referral.",
+        heading: "APPLICATION FOR CONDONATION",
+        requiredFacts: ['client_name', 'employer_name', 'incident_date', 'incident_description', 'employment_status'],
+        suggested: (facts, context) => !!(context.deadline && context.deadline.condonation_required),
+        prompt: `You are a Senior South African Labour Lawyer at "{{firm.name}}". Draft the founding affidavit for an application to the CCMA to condone the late referral of the client's dispute (CCMA Rule 9).
+
+${FACTS_BLOCK}
+
+CCMA REFERRAL DEADLINE: {{referral_deadline}}
+
+REQUIREMENTS:
+1. ${LETTERHEAD_RULE}
+2. Write it as an affidavit by the client in the first person ("I, [name], state under oath that..."), in numbered paragraphs.
+3. Cover each factor the CCMA weighs, under its own heading: "Degree of Lateness", "Reasons for the Delay", "Prospects of Success", "Prejudice to the Parties" and "Importance of the Matter".
+4. Degree of Lateness must use the deadline above. For Reasons for the Delay, give a placeholder ("[explain why the referral was late]") wherever the facts do not explain it. Never invent reasons.
+5. Prospects of Success must briefly set out why the dismissal or unfair labour practice claim is strong on these facts.
+6. End with a deponent signature block and a commissioner of oaths block.
+7. ${PLAIN_TEXT_RULE}`
+    }
+};
+
+function getDocumentType(key) {
+    return DOCUMENT_TYPES[key] || null;
+}
+
+// Labels of the required facts that are still empty for this type
+function missingFacts(type, facts = {}) {
+    return type.requiredFacts
+        .filter(key => facts[key] === undefined || facts[key] === null || String(facts[key]).trim() === '')
+        .map(key => FACT_LABELS[key] || key);
+}
+
+/**
+ * The catalogue as the admin panel shows it for one case.
+ * `context` carries the computed referral deadline and latest dispatch, which some types key off.
+ */
+function listDocumentTypes(facts = {}, context = {}) {
+    return Object.entries(DOCUMENT_TYPES).map(([key, type]) => ({
+        key,
+        label: type.label,
+        description: type.description,
+        missing: missingFacts(type, facts),
+        suggested: !!type.suggested(facts, context)
+    }));
+}
+
+module.exports = { DOCUMENT_TYPES, getDocumentType, missingFacts, listDocumentTypes };
@@ -0,0 +1,206 @@
+// ==========================================
+// CLIENT EVIDENCE (uploads during the intake)
+// ==========================================
+// Dismissal letters, hearing notices, payslips, warnings... uploaded from an `upload` step in the
+// intake flow. Files go to the private `case-evidence` storage bucket (staff see them through
+// short-lived signed URLs); their text is extracted locally on upload and kept in `case_evidence`
+// so the evaluation can quote the relevant parts. Photos are stored but have no text to extract.
+
+const crypto = require('crypto');
+const { extractText } = require('./text_extract');
+
+const EVIDENCE_BUCKET = 'case-evidence';
+const MAX_FILE_BYTES = 4 * 1024 * 1024; // the whole request must fit in a Netlify function body
+const MAX_FILES_PER_CASE = 10;
+const MAX_STORED_TEXT_CHARS = 100000;
+const SIGNED_URL_SECONDS = 300;
+
+const ALLOWED_TYPES = {
+    'application/pdf': 'pdf',
+    'text/plain': 'txt',
+    'image/jpeg': 'jpg',
+    'image/png': 'png'
+};
+
+// Budget for the evaluation prompt
+const EXCERPT_WINDOW_CHARS = 500;
+const MAX_EXCERPT_CHARS_PER_FILE = 1500;
+const MAX_EXCERPT_CHARS_TOTAL = 5000;
+
+// Words that mark the passages worth showing the LLM
+const EVIDENCE_KEYWORDS = ['hearing', 'disciplinary', 'notice', 'dismiss', 'terminat', 'warning', 'charge', 'misconduct', 'suspen', 'chairperson', 'appeal', 'resign', 'salary', 'wage', 'payslip', 'deduction', 'overtime', 'effective', 'representation', 'incapacity', 'retrench', 'operational requirements'];
+
+// The type is taken from the file's own bytes where possible, not from what the browser claims
+function detectType(buffer, declaredType, fileName) {
+    if (buffer.slice(0, 5).toString() === '%PDF-') return 'application/pdf';
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'image/jpeg';
+    if (buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'image/png';
+    if ((declaredType === 'text/plain' || /\.txt$/i.test(fileName || '')) && !buffer.includes(0)) return 'text/plain';
+    return null;
+}
+
+function safeFileName(name) {
+    const cleaned = String(name || 'document').replace(/[^\w.\- ]+/g, '').replace(/\s+/g, '_').slice(0, 100);
+    return cleaned || 'document';
+}
+
+/**
+ * Decodes and checks an upload (`file` is a data URL or bare base64).
+ * Returns { buffer, mimeType } or { error } with a message the client can be shown.
+ */
+function readUpload(file, fileName) {
+    const dataUrlMatch = String(file || '').match(/^data:([^;]*);base64,(.+)$/);
+    const buffer = Buffer.from(dataUrlMatch ? dataUrlMatch[2] : String(file || ''), 'base64');
+    if (buffer.length === 0) return { error: 'The file is empty.' };
+    if (buffer.length > MAX_FILE_BYTES) return { error: `Files must be smaller than ${MAX_FILE_BYTES / (1024 * 1024)} MB.` };
+
+    const mimeType = detectType(buffer, dataUrlMatch && dataUrlMatch[1], fileName);
+    if (!mimeType) return { error: 'Only PDF, text, JPEG and PNG files can be uploaded.' };
+    return { buffer, mimeType };
+}
+
+async function countEvidence(supabase, caseId) {
+    const { count, error } = await supabase.from('case_evidence').select('id', { count: 'exact', head: true }).eq('case_id', caseId);
+    if (error) throw error;
+    return count || 0;
+}
+
+/**
+ * Extracts, stores and records one upload already checked by readUpload.
+ * Resolves to the new `case_evidence` row (without the extracted text).
+ */
+async function storeEvidence(supabase, { caseId, sessionId, buffer, mimeType, fileName }) {
+    // 1. Extract the text locally (pdf-parse / UTF-8); a file we cannot read is still worth keeping
+    let extractedText = '';
+    let extractionStatus = 'no_text';
+    if (ALLOWED_TYPES[mimeType] === 'pdf' || ALLOWED_TYPES[mimeType] === 'txt') {
+        try {
+            extractedText = (await extractText({ fileBase64: buffer.toString('base64'), fileName, mimeType })).replace(/\u0000/g, '').trim().slice(0, MAX_STORED_TEXT_CHARS);
+            extractionStatus = extractedText ? 'extracted' : 'no_text'; // e.g. a scanned PDF
+        } catch (err) {
+            console.error("Evidence text extraction failed:", err.message);
+            extractionStatus = 'failed';
+        }
+    }
+
+    // 2. Store the file in the private bucket under the case
+    const storagePath = `${caseId}/${crypto.randomUUID()}.${ALLOWED_TYPES[mimeType]}`;
+    const { error: uploadErr } = await supabase.storage.from(EVIDENCE_BUCKET).upload(storagePath, buffer, { contentType: mimeType, upsert: false });
+    if (uploadErr) throw new Error("File storage failed: " + uploadErr.message);
+
+    // 3. Record it against the case
+    const { data: row, error: insertErr } = await supabase.from('case_evidence').insert({
+        case_id: caseId,
+        session_id: sessionId || null,
+        file_name: safeFileName(fileName),
+        mime_type: mimeType,
+        size_bytes: buffer.length,
+        storage_path: storagePath,
+        extracted_text: extractedText || null,
+        extraction_status: extractionStatus
+    }).select('id, file_name, mime_type, size_bytes, extraction_status, created_at').single();
+    if (insertErr) {
+        await supabase.storage.from(EVIDENCE_BUCKET).remove([storagePath]);
+        throw new Error("Database save failed: " + insertErr.message);
+    }
+    return row;
+}
+
+// Picks the passages of one document that matter most, in their original order
+function pickExcerpt(text, terms) {
+    const clean = text.replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+    if (clean.length <= MAX_EXCERPT_CHARS_PER_FILE) return clean;
+
+    const windows = [];
+    for (let start = 0; start < clean.length; start += EXCERPT_WINDOW_CHARS) {
+        const chunk = clean.slice(start, start + EXCERPT_WINDOW_CHARS);
+        const lower = chunk.toLowerCase();
+        const score = terms.reduce((sum, term) => sum + (lower.includes(term) ? 1 : 0), 0) + (start === 0 ? 1 : 0); // letters open with the essentials
+        windows.push({ start, chunk, score });
+    }
+
+    const keep = windows.slice().sort((a, b) => b.score - a.score || a.start - b.start)
+        .slice(0, Math.floor(MAX_EXCERPT_CHARS_PER_FILE / EXCERPT_WINDOW_CHARS))
+        .sort((a, b) => a.start - b.start);
+    return keep.map(w => w.chunk.trim()).join('\n[...]\n');
+}
+
+/**
+ * Builds the evidence section of the evaluation prompt for a case.
+ * Resolves to { files, contextText } where each file is tagged [D1], [D2], ...
+ */
+async function evidenceExcerpts(supabase, caseId, facts = {}) {
+    if (!caseId) return { files: [], contextText: '' };
+    const { data, error } = await supabase.from('case_evidence').select('id, file_name, extracted_text, extraction_status')
+        .eq('case_id', caseId).order('created_at', { ascending: true });
+    if (error) throw error;
+
+    const storyTerms = String(facts.incident_description || '').toLowerCase().split(/[^a-z]+/).filter(w => w.length > 4);
+    const terms = [...new Set([...EVIDENCE_KEYWORDS, ...storyTerms])];
+
+    let budget = MAX_EXCERPT_CHARS_TOTAL;
+    const files = [];
+    const blocks = [];
+    (data || []).forEach(row => {
+        const ref = `D${files.length + 1}`;
+        files.push({ ref, id: row.id, file_name: row.file_name });
+        if (!row.extracted_text) {
+            blocks.push(`[${ref}] ${row.file_name}: (no readable text; a photo or scanned document the attorney will review)`);
+            return;
+        }
+        if (budget <= 0) {
+            blocks.push(`[${ref}] ${row.file_name}: (not shown; the excerpt limit was reached)`);
+            return;
+        }
+        const excerpt = pickExcerpt(row.extracted_text, terms).slice(0, budget);
+        budget -= excerpt.length;
+        blocks.push(`[${ref}] ${row.file_name}:\n${excerpt}`);
+    });
+
+    return { files, contextText: blocks.join('\n\n') };
+}
+
+/**
+ * Lists a case's files for the admin panel, each with a short-lived signed URL to view it.
+ */
+async function listEvidence(supabase, caseId) {
+    const { data, error } = await supabase.from('case_evidence').select('*').eq('case_id', caseId).order('created_at', { ascending: true });
+    if (error) throw error;
+
+    return Promise.all((data || []).map(async row => {
+        const { data: signed } = await supabase.storage.from(EVIDENCE_BUCKET).createSignedUrl(row.storage_path, SIGNED_URL_SECONDS);
+        return { ...row, url: signed ? signed.signedUrl : null };
+    }));
+}
+
+// The stored file itself, as a Buffer (e.g. for a data subject export)
+async function downloadEvidence(supabase, storagePath) {
+    const { data, error } = await supabase.storage.from(EVIDENCE_BUCKET).download(storagePath);
+    if (error) throw new Error("File download failed: " + error.message);
+    return Buffer.from(await data.arrayBuffer());
+}
+
+/**
+ * Removes the stored files of the given cases (the rows go with the case or are deleted separately).
+ */
+async function removeEvidenceFiles(supabase, caseIds) {
+    const { data, error } = await supabase.from('case_evidence').select('storage_path').in('case_id', caseIds);
+    if (error) throw error;
+    const paths = (data || []).map(row => row.storage_path);
+    if (paths.length === 0) return;
+    const { error: removeErr } = await supabase.storage.from(EVIDENCE_BUCKET).remove(paths);
+    if (removeErr) throw new Error("File removal failed: " + removeErr.message);
+}
+
+module.exports = {
+    EVIDENCE_BUCKET,
+    MAX_FILE_BYTES,
+    MAX_FILES_PER_CASE,
+    readUpload,
+    countEvidence,
+    storeEvidence,
+    evidenceExcerpts,
+    listEvidence,
+    downloadEvidence,
+    removeEvidenceFiles
+};
@@ -0,0 +1,165 @@
+// ==========================================
+// SERVER-MANAGED INTAKE FLOW
+// ==========================================
+// The intake conversation is a state machine stored as versioned JSON in `intake_flows`.
+// Each state is either a question:
+//   { msg, type: "buttons" | "text" | "date" | "upload", options?: [{ label, next, val }], next?, saveAs?, factLabel?,
+//     translate?, i18n?: { <language>: { msg, options?: [label, ...] } } }
+// or the hand-off to the AI: { action: "evaluate" }.
+// An "upload" state lets the client attach documents (see evidence.js) or skip; with `saveAs` it
+// stores how many files were uploaded.
+// Only one version is published at a time; with none published the built-in DEFAULT_FLOW is version 0.
+
+const { DEFAULT_FLOW } = require('./default_flow');
+const { DEFAULT_LANGUAGE, LANGUAGES } = require('./languages');
+
+const START_STATE = "START";
+const QUESTION_TYPES = ['buttons', 'text', 'date', 'upload'];
+const TERMINAL_ACTIONS = ['evaluate'];
+const MAX_PATHS_CHECKED = 10000;
+
+// Fact keys the server fills in itself; a flow must not overwrite them
+const RESERVED_FACT_KEYS = ['wants_letter', 'merit_assessment', 'legal_reasoning', 'referral_deadline', 'legal_sources', 'ai_meta', 'flow_version', 'intake_progress', 'preferred_language', 'original_answers'];
+
+function nextStatesOf(node) {
+    if (!node || node.action) return [];
+    if (node.type === 'buttons') return (node.options || []).map(o => o.next);
+    return [node.next];
+}
+
+/**
+ * Validates a flow definition. Resolves to { errors, warnings }; the flow may only be saved
+ * when `errors` is empty.
+ */
+function validateFlow(flow) {
+    const errors = [];
+    const warnings = [];
+
+    if (!flow || typeof flow !== 'object' || Array.isArray(flow)) {
+        return { errors: ["The flow must be a JSON object keyed by state name."], warnings };
+    }
+    if (!flow[START_STATE]) errors.push(`Missing the "${START_STATE}" state.`);
+
+    // 1. Shape of each state, and every `next` must point at a real state
+    Object.entries(flow).forEach(([name, node]) => {
+        if (!node || typeof node !== 'object') { errors.push(`${name}: state must be an object.`); return; }
+
+        if (node.action) {
+            if (!TERMINAL_ACTIONS.includes(node.action)) errors.push(`${name}: unknown action "${node.action}".`);
+            return;
+        }
+
+        if (!node.msg) errors.push(`${name}: missing "msg".`);
+        if (!QUESTION_TYPES.includes(node.type)) errors.push(`${name}: type must be one of ${QUESTION_TYPES.join(', ')}.`);
+
+        if (node.type === 'buttons') {
+            if (!Array.isArray(node.options) || node.options.length === 0) errors.push(`${name}: buttons state needs at least one option.`);
+            (node.options || []).forEach((opt, i) => {
+                if (!opt.label) errors.push(`${name}: option ${i + 1} is missing a label.`);
+                if (opt.val === undefined) errors.push(`${name}: option "${opt.label || i + 1}" is missing a val.`);
+            });
+        }
+
+        nextStatesOf(node).forEach(next => {
+            if (!next) errors.push(`${name}: missing "next" state.`);
+            else if (!flow[next]) errors.push(`${name}: "next" points to unknown state "${next}".`);
+        });
+
+        if (node.saveAs) {
+            if (!/^[a-z][a-z0-9_]*$/.test(node.saveAs)) errors.push(`${name}: saveAs "${node.saveAs}" must be snake_case.`);
+            if (RESERVED_FACT_KEYS.includes(node.saveAs)) errors.push(`${name}: saveAs "${node.saveAs}" is reserved for the system.`);
+            if (!node.factLabel) warnings.push(`${name}: saveAs "${node.saveAs}" has no factLabel; the admin panel will show the raw key.`);
+        }
+
+        // Translations: known languages only, and one label per option so buttons line up
+        const i18n = node.i18n || {};
+        Object.entries(i18n).forEach(([lang, text]) => {
+            if (!LANGUAGES[lang] || lang === DEFAULT_LANGUAGE) { errors.push(`${name}: unknown translation language "${lang}".`); return; }
+            if (!text || !text.msg) errors.push(`${name}: ${lang} translation is missing "msg".`);
+            if (node.type === 'buttons' && (!text || !Array.isArray(text.options) || text.options.length !== (node.options || []).length)) {
+                errors.push(`${name}: ${lang} translation needs exactly one label per option.`);
+            }
+        });
+        const untranslated = Object.keys(LANGUAGES).filter(lang => lang !== DEFAULT_LANGUAGE && !i18n[lang]);
+        if (untranslated.length) warnings.push(`${name}: no ${untranslated.map(lang => LANGUAGES[lang]).join(', ')} translation; English is shown instead.`);
+    });
+
+    if (errors.length) return { errors, warnings };
+
+    // 2. Every state must be reachable from START
+    const reachable = new Set();
+    const queue = [START_STATE];
+    while (queue.length) {
+        const name = queue.shift();
+        if (reachable.has(name)) continue;
+        reachable.add(name);
+        nextStatesOf(flow[name]).forEach(next => queue.push(next));
+    }
+    Object.keys(flow).filter(name => !reachable.has(name)).forEach(name => errors.push(`${name}: unreachable from ${START_STATE}.`));
+    if (![...reachable].some(name => flow[name].action === 'evaluate')) errors.push(`No path from ${START_STATE} reaches an "evaluate" hand-off.`);
+
+    // 3. Walk every path: no loops, and no fact saved twice along the same path
+    // (the same saveAs on mutually exclusive branches, e.g. incident_date, is fine)
+    const duplicateKeys = new Set();
+    let pathsChecked = 0;
+    function walk(name, visited, savedKeys) {
+        if (pathsChecked > MAX_PATHS_CHECKED) return;
+        const node = flow[name];
+        if (visited.has(name)) { errors.push(`${name}: loops back on itself (cycle in the flow).`); return; }
+        if (node.action) { pathsChecked++; return; }
+
+        if (node.saveAs && savedKeys.has(node.saveAs) && !duplicateKeys.has(node.saveAs)) {
+            duplicateKeys.add(node.saveAs);
+            errors.push(`${name}: saveAs "${node.saveAs}" is already collected earlier on the same path.`);
+        }
+
+        const nextVisited = new Set(visited).add(name);
+        const nextSaved = node.saveAs ? new Set(savedKeys).add(node.saveAs) : savedKeys;
+        [...new Set(nextStatesOf(node))].forEach(next => walk(next, nextVisited, nextSaved));
+    }
+    walk(START_STATE, new Set(), new Set());
+    if (pathsChecked > MAX_PATHS_CHECKED) warnings.push(`Flow has more than ${MAX_PATHS_CHECKED} paths; only the first were checked.`);
+
+    return { errors: [...new Set(errors)], warnings };
+}
+
+// Every fact key a flow can collect, mapped to its admin label
+function factLabels(flow) {
+    const labels = {};
+    Object.values(flow || {}).forEach(node => {
+        if (node && node.saveAs && !labels[node.saveAs]) labels[node.saveAs] = node.factLabel || node.saveAs;
+    });
+    return labels;
+}
+
+// Keeps only the answers a flow actually declares, so a client cannot inject system fields
+function pickFlowFacts(flow, facts) {
+    const picked = {};
+    Object.keys(factLabels(flow)).forEach(key => {
+        if (facts && facts[key] !== undefined) picked[key] = facts[key];
+    });
+    return picked;
+}
+
+async function getPublishedFlow(supabase) {
+    const { data, error } = await supabase
+        .from('intake_flows')
+        .select('version, definition')
+        .eq('status', 'published')
+        .order('published_at', { ascending: false, nullsFirst: false })
+        .order('version', { ascending: false })
+        .limit(1);
+    if (error) throw error;
+
+    if (!data || data.length === 0) return { version: 0, definition: DEFAULT_FLOW };
+    return data[0];
+}
+
+async function getFlowVersion(supabase, version) {
+    if (!version) return { version: 0, definition: DEFAULT_FLOW };
+    const { data, error } = await supabase.from('intake_flows').select('version, definition').eq('version', version).single();
+    if (error || !data) return null;
+    return data;
+}
+
+module.exports = { START_STATE, RESERVED_FACT_KEYS, validateFlow, factLabels, pickFlowFacts, getPublishedFlow, getFlowVersion };
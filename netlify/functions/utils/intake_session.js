@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+
+// Resume tokens live only in the client's browser (and resume link); we store a hash.
+function generateToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+async function findSession(supabase, token) {
+    if (!token) return null;
+    const { data, error } = await supabase.from('intake_sessions').select('*').eq('token_hash', hashToken(token)).single();
+    if (error || !data) return null;
+    return data;
+}
+
+module.exports = { generateToken, hashToken, findSession };
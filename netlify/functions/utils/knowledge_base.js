@@ -0,0 +1,119 @@
+// ==========================================
+// KNOWLEDGE BASE INDEXING
+// ==========================================
+// Chunks a kb_sources row, embeds the chunks and writes them to `documents` for hybrid_search.
+// A long Act runs to hundreds of chunks, more than a normal function can embed before it times out,
+// so indexing runs in knowledge_base_index-background.js and the source's `status` reports progress.
+//
+// Each run tags its chunks with a run id. The previous chunks are only removed once every new chunk is
+// in, and a run that fails takes its own chunks back out, so a document is never left half-indexed.
+
+const crypto = require('crypto');
+const { chunkDocument } = require('./chunking');
+const { embedTexts } = require('./llm');
+const { getSettings } = require('./settings');
+
+const EMBED_BATCH_SIZE = 100;  // chunks embedded (and written) per step
+const INSERT_BATCH_SIZE = 25;  // 3072-dim vectors make for large rows
+const MAX_RUN_MS = 15 * 60 * 1000; // a background function's time limit; an older 'indexing' status is stale
+
+/**
+ * Marks a source as queued for indexing and returns the run id the background function must carry.
+ */
+async function queueIndexing(supabase, sourceId) {
+    const runId = crypto.randomUUID();
+    const { error } = await supabase.from('kb_sources')
+        .update({ status: 'indexing', error: null, index_run: runId, updated_at: new Date().toISOString() })
+        .eq('id', sourceId);
+    if (error) throw error;
+    return runId;
+}
+
+// True while a run may still be writing chunks, so a second re-index does not race it
+function isIndexing(source) {
+    return source.status === 'indexing' && Date.now() - Date.parse(source.updated_at) < MAX_RUN_MS;
+}
+
+// A newer re-index supersedes this run; it stops without touching the source's status
+async function isCurrentRun(supabase, sourceId, runId) {
+    const { data } = await supabase.from('kb_sources').select('index_run').eq('id', sourceId).single();
+    return !!data && data.index_run === runId;
+}
+
+/**
+ * Chunks, embeds and (re)writes every `documents` row for a source. Resolves to the chunk count,
+ * or null when a newer run took over. On failure the source is marked failed with how far it got.
+ */
+async function indexSource(supabase, source, runId) {
+    let indexed = 0;
+    let total = 0;
+
+    try {
+        // 1. Section-aware chunking
+        const chunks = chunkDocument(source.raw_text, { title: source.title, citation: source.citation });
+        if (chunks.length === 0) throw new Error("No text could be extracted from this document");
+        total = chunks.length;
+
+        const settings = await getSettings(supabase);
+        const metadata = {
+            title: source.title,
+            citation: source.citation,
+            doc_type: source.doc_type,
+            court: source.court,
+            document_date: source.document_date
+        };
+
+        // 2. Embed (with the same model the search query uses) and write one batch at a time
+        for (let i = 0; i < chunks.length; i += EMBED_BATCH_SIZE) {
+            if (!(await isCurrentRun(supabase, source.id, runId))) {
+                await removeRun(supabase, source.id, runId);
+                return null;
+            }
+
+            const batch = chunks.slice(i, i + EMBED_BATCH_SIZE);
+            const vectors = await embedTexts(batch.map(c => c.content), settings);
+            const rows = batch.map((chunk, j) => ({
+                content: chunk.content,
+                embedding: vectors[j],
+                source_id: source.id,
+                chunk_index: chunk.chunk_index,
+                index_run: runId,
+                metadata: { ...metadata, section: chunk.section }
+            }));
+
+            for (let k = 0; k < rows.length; k += INSERT_BATCH_SIZE) {
+                const slice = rows.slice(k, k + INSERT_BATCH_SIZE);
+                const { error: insErr } = await supabase.from('documents').insert(slice);
+                if (insErr) throw insErr;
+                indexed += slice.length;
+            }
+        }
+
+        // 3. Swap: drop the chunks of earlier runs now that the new ones are all in
+        if (!(await isCurrentRun(supabase, source.id, runId))) {
+            await removeRun(supabase, source.id, runId);
+            return null;
+        }
+        const { error: delErr } = await supabase.from('documents').delete()
+            .eq('source_id', source.id)
+            .or(`index_run.is.null,index_run.neq.${runId}`);
+        if (delErr) throw delErr;
+
+        await supabase.from('kb_sources').update({ status: 'ready', chunk_count: indexed, updated_at: new Date().toISOString() }).eq('id', source.id).eq('index_run', runId);
+        return indexed;
+
+    } catch (error) {
+        // Take this run's chunks back out; whatever was indexed before stays searchable
+        await removeRun(supabase, source.id, runId).catch(e => console.error("Could not remove partial chunks:", e.message));
+        const progress = total ? ` (stopped after ${indexed} of ${total} chunks; nothing from this attempt was kept)` : '';
+        await supabase.from('kb_sources').update({ status: 'failed', error: `${error.message}${progress}`, updated_at: new Date().toISOString() }).eq('id', source.id).eq('index_run', runId);
+        throw error;
+    }
+}
+
+async function removeRun(supabase, sourceId, runId) {
+    const { error } = await supabase.from('documents').delete().eq('source_id', sourceId).eq('index_run', runId);
+    if (error) throw error;
+}
+
+module.exports = { queueIndexing, isIndexing, indexSource };
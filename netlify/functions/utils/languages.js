@@ -0,0 +1,199 @@
+// ==========================================
+// MULTILINGUAL INTAKE
+// ==========================================
+// The client picks a language before the intake starts. Questions and buttons come from each flow
+// node's `i18n` block, the pitch, follow-up answers and closing messages are written in that language, and free-text
+// answers are translated to English for the legal team (the original wording is kept alongside).
+
+const { generateJSON } = require('./llm');
+
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGES = {
+    en: 'English',
+    zu: 'isiZulu',
+    xh: 'isiXhosa',
+    af: 'Afrikaans',
+    st: 'Sesotho'
+};
+
+const CLOSING_MESSAGES = {
+    en: {
+        letter: "Excellent. I have officially sent your file to our legal team! They will review the details and email you a secure payment link as soon as your letter is ready to be dispatched. We've got your back!",
+        no_letter: "No problem at all! I have saved your file. If you change your mind, just reach out to us again. Wishing you the best of luck!"
+    },
+    zu: {
+        letter: "Kuhle kakhulu. Ngilithumele ngokusemthethweni ifayela lakho ethimini lethu lezomthetho! Bazobuyekeza imininingwane futhi bakuthumelele isixhumanisi sokukhokha esivikelekile uma incwadi yakho isilungele ukuthunyelwa. Simi nawe!",
+        no_letter: "Akunankinga! Ngiligcinile ifayela lakho. Uma ushintsha umqondo, vele uxhumane nathi futhi. Sikufisela inhlanhla!"
+    },
+    xh: {
+        letter: "Kuhle kakhulu. Ndiyithumele ngokusesikweni ifayile yakho kwiqela lethu lezomthetho! Baza kuphonononga iinkcukacha baze bakuthumelele ikhonkco lokuhlawula elikhuselekileyo xa ileta yakho ilungele ukuthunyelwa. Sikunye nawe!",
+        no_letter: "Akukho ngxaki! Ndiyigcinile ifayile yakho. Ukuba uthe watshintsha ingqondo, qhagamshelana nathi kwakhona. Sikunqwenelela amathamsanqa!"
+    },
+    af: {
+        letter: "Uitstekend. Ek het jou lêer amptelik na ons regspan gestuur! Hulle sal die besonderhede hersien en jou 'n veilige betalingskakel e-pos sodra jou brief gereed is om gestuur te word. Ons staan by jou!",
+        no_letter: "Geen probleem nie! Ek het jou lêer gestoor. As jy van plan verander, kontak ons gerus weer. Alles van die beste!"
+    },
+    st: {
+        letter: "Ho lokile haholo. Ke rometse faele ya hao ka semmuso ho sehlopha sa rona sa molao! Ba tla hlahloba dintlha mme ba o romele lehokela le sireletsehileng la tefo hang ha lengolo la hao le se le lokile ho romelwa. Re na le wena!",
+        no_letter: "Ha ho bothata! Ke bolokile faele ya hao. Ha o ka fetola mohopolo, ikopanye le rona hape. Re o lakaletsa mahlohonolo!"
+    }
+};
+
+// Fixed wording around follow-up answers, so the safety notices never depend on the model
+const FOLLOW_UP_MESSAGES = {
+    en: {
+        disclaimer: "This is general legal information, not legal advice. Our attorneys will give you advice on your specific case.",
+        limit: "You have asked the maximum number of questions here. Our legal team will answer anything else once you decide how to proceed.",
+        closed: "This conversation has ended. Please contact us if you have more questions.",
+        unavailable: "Sorry, I can't answer that right now. Please try again, or choose an option below."
+    },
+    zu: {
+        disclaimer: "Lolu ulwazi olujwayelekile lwezomthetho, akusona iseluleko sezomthetho. Abameli bethu bazokunika iseluleko ngecala lakho.",
+        limit: "Usubuze inani eliphezulu lemibuzo lapha. Ithimba lethu lezomthetho lizophendula noma yini enye uma usunqume ukuthi uqhubeke kanjani.",
+        closed: "Le ngxoxo iphelile. Sicela uxhumane nathi uma unemibuzo eminye.",
+        unavailable: "Uxolo, angikwazi ukuphendula lokho njengamanje. Sicela uzame futhi, noma ukhethe okunye ngezansi."
+    },
+    xh: {
+        disclaimer: "Olu lulwazi ngokubanzi lwezomthetho, asiyocebiso lwezomthetho. Amagqwetha ethu aza kukunika icebiso ngetyala lakho.",
+        limit: "Sele ubuze elona nani liphezulu lemibuzo apha. Iqela lethu lezomthetho liza kuphendula nantoni na enye xa uthathe isigqibo sokuba uqhubeke njani.",
+        closed: "Le ncoko iphelile. Nceda uqhagamshelane nathi ukuba unemibuzo engakumbi.",
+        unavailable: "Uxolo, andikwazi ukuphendula oko ngoku. Nceda uzame kwakhona, okanye ukhethe enye into ngezantsi."
+    },
+    af: {
+        disclaimer: "Dit is algemene regsinligting, nie regsadvies nie. Ons prokureurs sal jou advies oor jou spesifieke saak gee.",
+        limit: "Jy het die maksimum aantal vrae hier gevra. Ons regspan sal enigiets anders beantwoord sodra jy besluit het hoe om voort te gaan.",
+        closed: "Hierdie gesprek is verby. Kontak ons asseblief as jy nog vrae het.",
+        unavailable: "Jammer, ek kan dit nie nou beantwoord nie. Probeer asseblief weer, of kies 'n opsie hieronder."
+    },
+    st: {
+        disclaimer: "Ena ke tlhahisoleseding e akaretsang ya molao, hase keletso ya molao. Babuelli ba rona ba tla o fa keletso ka nyewe ya hao.",
+        limit: "O se o botsitse palo e phahameng ya dipotso mona. Sehlopha sa rona sa molao se tla araba eng kapa eng e nngwe ha o se o nkile qeto ya hore o tswela pele jwang.",
+        closed: "Puisano ena e fedile. Ka kopo ikopanye le rona ha o na le dipotso tse ding.",
+        unavailable: "Ka maswabi, ha ke kgone ho araba seo hona jwale. Ka kopo leka hape, kapa o kgethe e nngwe ka tlase."
+    }
+};
+
+function normalizeLanguage(code) {
+    return LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+}
+
+function languageName(code) {
+    return LANGUAGES[normalizeLanguage(code)];
+}
+
+function followUpMessage(code, key) {
+    return FOLLOW_UP_MESSAGES[normalizeLanguage(code)][key];
+}
+
+function closingMessage(code, wantsLetter) {
+    const messages = CLOSING_MESSAGES[normalizeLanguage(code)];
+    return wantsLetter ? messages.letter : messages.no_letter;
+}
+
+// Free-text answers worth translating: typed (not picked from buttons) and not a name or contact detail
+function translatableKeys(flow, facts) {
+    const keys = new Set();
+    Object.values(flow || {}).forEach(node => {
+        if (!node || node.type !== 'text' || !node.saveAs || node.translate === false) return;
+        const value = facts[node.saveAs];
+        if (typeof value === 'string' && value.trim()) keys.add(node.saveAs);
+    });
+    return [...keys];
+}
+
+/**
+ * Translates a client's free-text answers to English.
+ * Resolves to { facts, originals }: `facts` with the English wording swapped in, and `originals`
+ * holding the answers exactly as typed (empty when nothing needed translating). An optional
+ * `redactor` keeps personal details out of the prompt (see redaction.js).
+ */
+async function translateAnswersToEnglish({ flow, facts, language, settings, redactor }) {
+    const lang = normalizeLanguage(language);
+    const keys = lang === DEFAULT_LANGUAGE ? [] : translatableKeys(flow, facts);
+    if (keys.length === 0) return { facts, originals: {} };
+
+    const originals = {};
+    keys.forEach(key => originals[key] = facts[key]);
+
+    const schema = { type: "object", required: keys, properties: {} };
+    keys.forEach(key => schema.properties[key] = { type: "string", minLength: 1 });
+
+    const { data } = await generateJSON({
+        task: 'evaluate',
+        prompt: `
+        Translate each value in this JSON object from ${LANGUAGES[lang]} to plain English.
+        Keep the same keys. Keep names, dates, amounts and company names exactly as written.
+        If a value is already in English, return it unchanged. Do not summarise or add anything.
+
+        ${JSON.stringify(originals, null, 2)}
+        `,
+        schema,
+        system: "You are a precise legal translator. Always return strictly formatted JSON.",
+        settings,
+        redactor
+    });
+
+    return { facts: { ...facts, ...data }, originals };
+}
+
+/**
+ * Fills in the missing `i18n[language]` entries of a flow with machine translations, for the admin
+ * to review before saving. Existing translations are left alone. Resolves to the updated flow.
+ */
+async function translateFlow({ flow, language, settings }) {
+    const lang = normalizeLanguage(language);
+    if (lang === DEFAULT_LANGUAGE) return flow;
+
+    const missing = {};
+    Object.entries(flow).forEach(([name, node]) => {
+        if (!node || node.action || (node.i18n && node.i18n[lang])) return;
+        missing[name] = { msg: node.msg };
+        if (node.type === 'buttons') missing[name].options = (node.options || []).map(o => o.label);
+    });
+    if (Object.keys(missing).length === 0) return flow;
+
+    const schema = { type: "object", required: Object.keys(missing), properties: {} };
+    Object.entries(missing).forEach(([name, text]) => {
+        schema.properties[name] = {
+            type: "object",
+            required: text.options ? ["msg", "options"] : ["msg"],
+            properties: {
+                msg: { type: "string", minLength: 1 },
+                ...(text.options ? { options: { type: "array", minItems: text.options.length, maxItems: text.options.length, items: { type: "string", minLength: 1 } } } : {})
+            }
+        };
+    });
+
+    const { data } = await generateJSON({
+        task: 'evaluate',
+        prompt: `
+        Translate this chatbot script for a South African labour law intake from English to ${LANGUAGES[lang]}.
+        Keep the same keys and the same number and order of "options". Use plain, everyday ${LANGUAGES[lang]}
+        that a worker would use. Keep the assistant's name "Justine" unchanged.
+
+        ${JSON.stringify(missing, null, 2)}
+        `,
+        schema,
+        system: "You are a professional translator. Always return strictly formatted JSON.",
+        settings
+    });
+
+    const translated = JSON.parse(JSON.stringify(flow));
+    Object.keys(missing).forEach(name => {
+        const node = translated[name];
+        node.i18n = { ...(node.i18n || {}), [lang]: data[name] };
+    });
+    return translated;
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    LANGUAGES,
+    normalizeLanguage,
+    languageName,
+    closingMessage,
+    followUpMessage,
+    translateAnswersToEnglish,
+    translateFlow
+};
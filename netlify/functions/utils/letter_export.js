@@ -0,0 +1,202 @@
+// ==========================================
+// BRANDED LETTER EXPORT (PDF + DOCX)
+// ==========================================
+// Renders an approved letter on the firm letterhead: logo, firm name, address and
+// contact block, a "WITHOUT PREJUDICE" heading on every page and "Page X of Y" footers.
+// Other document types pass their own heading (or null for none) instead.
+
+const PDFDocument = require('pdfkit');
+const { Document, Packer, Paragraph, TextRun, ImageRun, Header, Footer, AlignmentType, PageNumber, BorderStyle } = require('docx');
+
+const HEADER_TEXT = "WITHOUT PREJUDICE";
+const LOGO_MAX_WIDTH = 150;
+const LOGO_MAX_HEIGHT = 60;
+
+// Firm Settings with the fallbacks used on every letterhead
+function firmLetterhead(settings = {}) {
+    return {
+        name: settings.firm_name || 'Legal Consultants',
+        address: settings.firm_address || '123 Legal Way, South Africa',
+        contact: settings.firm_contact || 'info@legalconsultants.co.za',
+        logo: settings.firm_logo || null
+    };
+}
+
+// --- LOGO HELPERS ---
+
+// The settings modal stores the logo as a data URL. Only PNG and JPEG can be embedded in both formats.
+function parseLogo(dataUrl) {
+    if (!dataUrl || typeof dataUrl !== 'string') return null;
+    const match = dataUrl.match(/^data:image\/(png|jpe?g);base64,(.+)$/i);
+    if (!match) return null;
+
+    const buffer = Buffer.from(match[2], 'base64');
+    const type = match[1].toLowerCase() === 'png' ? 'png' : 'jpg';
+    const size = imageSize(buffer, type);
+    if (!size) return null;
+
+    // Scale down to fit the letterhead box, keeping the aspect ratio
+    const scale = Math.min(LOGO_MAX_WIDTH / size.width, LOGO_MAX_HEIGHT / size.height, 1);
+    return { buffer, type, width: Math.round(size.width * scale), height: Math.round(size.height * scale) };
+}
+
+// Reads pixel dimensions from the PNG IHDR chunk or the JPEG SOF marker
+function imageSize(buffer, type) {
+    if (type === 'png') {
+        if (buffer.length < 24) return null;
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xFF) return null;
+        const marker = buffer[offset + 1];
+        const length = buffer.readUInt16BE(offset + 2);
+        // SOF0-SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+            return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+        }
+        offset += 2 + length;
+    }
+    return null;
+}
+
+// --- TEXT HELPERS ---
+
+// Older drafts had the letterhead typed into the text by the AI. Drop those leading lines
+// (firm name, address, contact, "WITHOUT PREJUDICE") so they are not printed twice.
+function stripLetterhead(letterText, firm) {
+    const known = [firm.name, firm.contact, HEADER_TEXT, ...String(firm.address || '').split(/\r?\n|,/)]
+        .map(line => String(line || '').trim().toLowerCase())
+        .filter(Boolean);
+
+    const lines = String(letterText || '').split(/\r?\n/);
+    let start = 0;
+    while (start < lines.length) {
+        const line = lines[start].trim().toLowerCase().replace(/[*_#]/g, '').trim();
+        const isLetterhead = line === '' || known.includes(line) || known.some(k => line === k.replace(/[,.]$/, ''));
+        if (!isLetterhead) break;
+        start++;
+    }
+    return lines.slice(start).join('\n').trim();
+}
+
+function toParagraphs(text) {
+    return String(text).split(/\r?\n\s*\r?\n/).map(p => p.replace(/\r?\n/g, '\n').trim()).filter(Boolean);
+}
+
+// --- PDF ---
+
+function renderLetterPdf(letterText, firm, heading = HEADER_TEXT) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margins: { top: 72, bottom: 72, left: 72, right: 72 }, bufferPages: true });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const pageWidth = doc.page.width;
+        const contentWidth = pageWidth - doc.page.margins.left - doc.page.margins.right;
+        const left = doc.page.margins.left;
+
+        // 1. Letterhead: logo on the left, firm details right-aligned
+        const logo = parseLogo(firm.logo);
+        const top = doc.page.margins.top;
+        if (logo) doc.image(logo.buffer, left, top, { width: logo.width, height: logo.height });
+
+        doc.font('Times-Bold').fontSize(16).fillColor('#0f172a').text(firm.name, left, top, { width: contentWidth, align: 'right' });
+        doc.font('Times-Roman').fontSize(10).fillColor('#334155');
+        if (firm.address) doc.text(firm.address, { width: contentWidth, align: 'right' });
+        if (firm.contact) doc.text(firm.contact, { width: contentWidth, align: 'right' });
+
+        const ruleY = Math.max(doc.y, top + (logo ? logo.height : 0)) + 10;
+        doc.moveTo(left, ruleY).lineTo(pageWidth - doc.page.margins.right, ruleY).lineWidth(1).strokeColor('#0f172a').stroke();
+
+        // 2. Heading
+        if (heading) {
+            doc.font('Times-Bold').fontSize(12).fillColor('black').text(heading, left, ruleY + 20, { width: contentWidth, align: 'center', underline: true });
+            doc.moveDown(1.5);
+        } else {
+            doc.y = ruleY + 20;
+        }
+
+        // 3. Body
+        doc.font('Times-Roman').fontSize(12).fillColor('black');
+        toParagraphs(letterText).forEach(paragraph => {
+            doc.text(paragraph, { width: contentWidth, align: 'justify', lineGap: 2 });
+            doc.moveDown(0.8);
+        });
+
+        // 4. Running header on follow-on pages and page numbers on every page
+        const range = doc.bufferedPageRange();
+        for (let i = range.start; i < range.start + range.count; i++) {
+            doc.switchToPage(i);
+            const bottomMargin = doc.page.margins.bottom;
+            doc.page.margins.bottom = 0; // Allow writing inside the margin without triggering a new page
+
+            if (i > range.start && heading) {
+                doc.font('Times-Bold').fontSize(9).fillColor('#64748b').text(heading, left, 36, { width: contentWidth, align: 'center' });
+            }
+            doc.font('Times-Roman').fontSize(9).fillColor('#64748b')
+                .text(`Page ${i - range.start + 1} of ${range.count}`, left, doc.page.height - 45, { width: contentWidth, align: 'center' });
+
+            doc.page.margins.bottom = bottomMargin;
+        }
+
+        doc.end();
+    });
+}
+
+// --- DOCX ---
+
+function renderLetterDocx(letterText, firm, heading = HEADER_TEXT) {
+    const logo = parseLogo(firm.logo);
+    const letterhead = [];
+
+    if (logo) {
+        letterhead.push(new Paragraph({
+            children: [new ImageRun({ type: logo.type, data: logo.buffer, transformation: { width: logo.width, height: logo.height } })]
+        }));
+    }
+    letterhead.push(new Paragraph({ alignment: AlignmentType.RIGHT, children: [new TextRun({ text: firm.name, bold: true, size: 32 })] }));
+    String(firm.address || '').split(/\r?\n/).filter(Boolean).forEach(line => {
+        letterhead.push(new Paragraph({ alignment: AlignmentType.RIGHT, children: [new TextRun({ text: line, size: 20, color: '334155' })] }));
+    });
+    if (firm.contact) {
+        letterhead.push(new Paragraph({
+            alignment: AlignmentType.RIGHT,
+            border: { bottom: { style: BorderStyle.SINGLE, size: 8, color: '0F172A', space: 6 } },
+            children: [new TextRun({ text: firm.contact, size: 20, color: '334155' })]
+        }));
+    }
+
+    const body = toParagraphs(letterText).map(paragraph => new Paragraph({
+        alignment: AlignmentType.JUSTIFIED,
+        spacing: { after: 200 },
+        children: paragraph.split('\n').map((line, i) => new TextRun({ text: line, break: i > 0 ? 1 : 0 }))
+    }));
+
+    const doc = new Document({
+        styles: { default: { document: { run: { font: 'Times New Roman', size: 24 } } } },
+        sections: [{
+            properties: { page: { margin: { top: 1440, bottom: 1440, left: 1440, right: 1440 } } },
+            headers: {
+                default: new Header({
+                    children: heading ? [new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({ text: heading, bold: true, underline: {} })] })] : []
+                })
+            },
+            footers: {
+                default: new Footer({
+                    children: [new Paragraph({
+                        alignment: AlignmentType.CENTER,
+                        children: [new TextRun({ children: ["Page ", PageNumber.CURRENT, " of ", PageNumber.TOTAL_PAGES], size: 18, color: '64748B' })]
+                    })]
+                })
+            },
+            children: [...letterhead, new Paragraph({ text: '' }), ...body]
+        }]
+    });
+
+    return Packer.toBuffer(doc);
+}
+
+module.exports = { firmLetterhead, renderLetterPdf, renderLetterDocx, stripLetterhead, parseLogo };
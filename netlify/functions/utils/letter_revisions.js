@@ -0,0 +1,91 @@
+// ==========================================
+// LETTER REVISION HISTORY
+// ==========================================
+// Every draft, edit, regeneration, status change and restore appends an immutable row to
+// `letter_revisions`, numbered per case and tagged with the admin user who made it.
+
+const REVISION_ACTIONS = ['generated', 'regenerated', 'edited', 'status_changed', 'restored', 'sent'];
+
+// A letter that has gone to the employer is still an approved letter: it can be exported and re-sent
+const APPROVED_LETTER_STATUSES = ['approved', 'sent'];
+
+function isLetterApproved(letterStatus) {
+    return APPROVED_LETTER_STATUSES.includes(letterStatus);
+}
+const MAX_INSERT_ATTEMPTS = 3; // two admins saving at once can race for the same revision number
+
+/**
+ * Works out which kind of revision an update to a case's letter represents, or null when
+ * nothing about the letter changed.
+ */
+function classifyLetterChange(before, after) {
+    const textChanged = after.draft_letter !== undefined && after.draft_letter !== before.draft_letter;
+    const statusChanged = after.letter_status !== undefined && after.letter_status !== before.letter_status;
+    if (textChanged) return 'edited';
+    if (statusChanged) return 'status_changed';
+    return null;
+}
+
+async function recordRevision(supabase, { caseId, action, letterText, letterStatus, user, restoredFrom = null }) {
+    if (!REVISION_ACTIONS.includes(action)) throw new Error(`Unknown revision action "${action}"`);
+
+    for (let attempt = 1; attempt <= MAX_INSERT_ATTEMPTS; attempt++) {
+        const { data: latest, error: readErr } = await supabase
+            .from('letter_revisions')
+            .select('revision')
+            .eq('case_id', caseId)
+            .order('revision', { ascending: false })
+            .limit(1);
+        if (readErr) throw readErr;
+
+        const { data, error } = await supabase.from('letter_revisions').insert({
+            case_id: caseId,
+            revision: latest && latest.length ? latest[0].revision + 1 : 1,
+            action,
+            letter_text: letterText || '',
+            letter_status: letterStatus || null,
+            restored_from: restoredFrom,
+            author_id: user ? user.id : null,
+            author_email: user ? user.email : null
+        }).select().single();
+
+        if (!error) return data;
+        if (error.code !== '23505' || attempt === MAX_INSERT_ATTEMPTS) throw new Error("Could not record letter revision: " + error.message);
+    }
+}
+
+/**
+ * Why the case's current letter may not be overwritten or sent back for review, or null when it may.
+ * Once approved it is the firm's record of what the client paid for and the employer received, so
+ * generating, editing or restoring over it needs an explicit new revision.
+ */
+async function letterLock(supabase, caseId, letterStatus) {
+    if (!isLetterApproved(letterStatus)) return null;
+
+    const { data: dispatches, error: dispatchErr } = await supabase.from('letter_dispatches').select('id').eq('case_id', caseId).neq('status', 'failed').limit(1);
+    if (dispatchErr) throw dispatchErr;
+    if (letterStatus === 'sent' || (dispatches && dispatches.length)) return 'sent to the employer';
+
+    const { data: invoices, error: invoiceErr } = await supabase.from('invoices').select('id').eq('case_id', caseId).eq('status', 'paid').limit(1);
+    if (invoiceErr) throw invoiceErr;
+    if (invoices && invoices.length) return 'paid for';
+
+    return 'approved';
+}
+
+// The 409 every letter-changing function returns while the letter is locked
+function lockedResponse(lockedAs) {
+    return { statusCode: 409, body: JSON.stringify({ error: `The demand letter has been ${lockedAs}. Ask for a new revision to replace it.`, locked: lockedAs }) };
+}
+
+async function listRevisions(supabase, caseId) {
+    const { data, error } = await supabase
+        .from('letter_revisions')
+        .select('*')
+        .eq('case_id', caseId)
+        .order('revision', { ascending: false });
+    if (error) throw error;
+    return data || [];
+}
+
+module.exports = { REVISION_ACTIONS, APPROVED_LETTER_STATUSES, isLetterApproved, classifyLetterChange, letterLock, lockedResponse, recordRevision, listRevisions };
@@ -0,0 +1,263 @@
+// ==========================================
+// SHARED LLM PROVIDER LAYER
+// ==========================================
+// Every function that talks to a model goes through here. It:
+//   - picks the provider from the `active_llm` setting (gemini or openai)
+//   - reads model names from system_settings (`<provider>_<task>_model`), with defaults
+//   - validates JSON output against a schema and re-asks the model when it fails
+//   - falls back to the other provider if the selected one errors out
+// Set LLM_PROVIDER=mock to force the deterministic local mock (offline testing).
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const OpenAI = require('openai');
+const { validateSchema } = require('./schema');
+
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+
+const EMBEDDING_MODEL = "models/gemini-embedding-001";
+const EMBEDDING_DIMENSIONS = 3072;
+const EMBEDDING_BATCH_SIZE = 100; // Gemini's limit per batchEmbedContents call
+const MAX_SCHEMA_ATTEMPTS = 3;
+
+// What the admin panel may choose; the mock is only reachable through LLM_PROVIDER
+const SELECTABLE_PROVIDERS = ['gemini', 'openai'];
+
+const DEFAULT_MODELS = {
+    gemini: { evaluate: "gemini-2.0-flash", draft: "gemini-2.0-flash" },
+    openai: { evaluate: "gpt-4o-mini", draft: "gpt-4o" },
+    mock: { evaluate: "mock-1", draft: "mock-1" }
+};
+
+// Clients are created lazily so a missing key only matters if that provider is used
+let genAI = null;
+let openai = null;
+function getGemini() {
+    if (!genAI) genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
+    return genAI;
+}
+function getOpenAI() {
+    if (!openai) openai = new OpenAI({ apiKey: OPENAI_API_KEY });
+    return openai;
+}
+
+// --- PROVIDERS ---
+// Each provider exposes complete(prompt, { model, json, system }) and returns the raw text.
+
+const providers = {
+    gemini: {
+        isConfigured: () => !!GEMINI_API_KEY,
+        async complete(prompt, { model, json, system }) {
+            const generationConfig = json ? { responseMimeType: "application/json" } : undefined;
+            const geminiModel = getGemini().getGenerativeModel({ model, generationConfig, systemInstruction: system || undefined });
+            const result = await geminiModel.generateContent(prompt);
+            return result.response.text();
+        }
+    },
+
+    openai: {
+        isConfigured: () => !!OPENAI_API_KEY,
+        async complete(prompt, { model, json, system }) {
+            const messages = [];
+            if (system) messages.push({ role: "system", content: system });
+            messages.push({ role: "user", content: prompt });
+            const completion = await getOpenAI().chat.completions.create({
+                model,
+                messages,
+                response_format: json ? { type: "json_object" } : undefined
+            });
+            return completion.choices[0].message.content;
+        }
+    },
+
+    mock: {
+        isConfigured: () => true,
+        async complete(prompt, { json, schema, task }) {
+            if (json) return JSON.stringify(mockFromSchema(schema, task));
+            return `[MOCK ${task.toUpperCase()} OUTPUT ${hashString(prompt)}]\n\nThis text was produced by the local mock LLM provider and contains no legal content.`;
+        }
+    }
+};
+
+// Simple deterministic string hash (djb2) used by the mock provider
+function hashString(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    return (hash >>> 0).toString(16);
+}
+
+// Builds the same schema-valid object every time for a given schema
+function mockFromSchema(schema, key = 'value') {
+    if (!schema) return null;
+    if (schema.enum) return schema.enum[0];
+    const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+    switch (type) {
+        case 'object': {
+            const obj = {};
+            Object.entries(schema.properties || {}).forEach(([k, s]) => obj[k] = mockFromSchema(s, k));
+            return obj;
+        }
+        case 'array': return schema.items ? Array.from({ length: Math.max(schema.minItems || 0, 1) }, () => mockFromSchema(schema.items, key)) : [];
+        case 'number':
+        case 'integer': return schema.minimum !== undefined ? schema.minimum : 0;
+        case 'boolean': return false;
+        case 'null': return null;
+        default: return `Mock ${key}`;
+    }
+}
+
+// --- PROVIDER SELECTION ---
+
+function selectedProvider(settings = {}) {
+    if (process.env.LLM_PROVIDER) return process.env.LLM_PROVIDER;
+    return SELECTABLE_PROVIDERS.includes(settings.active_llm) ? settings.active_llm : 'gemini';
+}
+
+function getProviderOrder(settings = {}) {
+    const selected = selectedProvider(settings);
+    if (selected === 'mock') return ['mock'];
+
+    const fallback = selected === 'openai' ? 'gemini' : 'openai';
+    const order = [selected, fallback].filter(name => providers[name] && providers[name].isConfigured());
+    if (order.length === 0) throw new Error("No LLM provider is configured. Set GEMINI_API_KEY or OPENAI_API_KEY.");
+    return order;
+}
+
+function resolveModel(provider, task, settings = {}) {
+    return settings[`${provider}_${task}_model`] || DEFAULT_MODELS[provider][task];
+}
+
+function parseJSON(text) {
+    return JSON.parse(String(text).replace(/```json/g, '').replace(/```/g, '').trim());
+}
+
+// With a redactor (utils/redaction.js) the prompt leaves the server with placeholders instead of personal details
+function outgoingPrompt(prompt, redactor) {
+    if (!redactor) return prompt;
+    const redacted = redactor.redact(prompt);
+    const note = redactor.instructions();
+    return note ? `${redacted}\n\n${note}` : redacted;
+}
+
+// --- PUBLIC API ---
+
+/**
+ * Generates free text (e.g. a letter). Tries the selected provider, then the fallback.
+ * Pass a `redactor` to keep personal details out of the prompt; they are restored in the text.
+ * Resolves to { text, provider, model }.
+ */
+async function generateText({ task, prompt, system, settings, redactor }) {
+    const errors = [];
+    const sentPrompt = outgoingPrompt(prompt, redactor);
+    for (const provider of getProviderOrder(settings)) {
+        const model = resolveModel(provider, task, settings);
+        try {
+            const text = String(await providers[provider].complete(sentPrompt, { model, system, task, json: false })).trim();
+            return { text: redactor ? redactor.restore(text) : text, provider, model };
+        } catch (err) {
+            console.error(`LLM provider "${provider}" failed:`, err.message);
+            errors.push(`${provider}: ${err.message}`);
+        }
+    }
+    throw new Error("All LLM providers failed. " + errors.join(' | '));
+}
+
+/**
+ * Generates a JSON object that must satisfy `schema`. Invalid or unparseable output is sent back
+ * to the same provider with the validation errors, up to MAX_SCHEMA_ATTEMPTS times, before the
+ * next provider is tried. With a `redactor`, placeholders in the returned strings are swapped back
+ * after validation. Resolves to { data, provider, model, attempts }.
+ */
+async function generateJSON({ task, prompt, schema, system, settings, redactor }) {
+    const errors = [];
+    const sentPrompt = outgoingPrompt(prompt, redactor);
+    for (const provider of getProviderOrder(settings)) {
+        const model = resolveModel(provider, task, settings);
+        let currentPrompt = sentPrompt;
+
+        for (let attempt = 1; attempt <= MAX_SCHEMA_ATTEMPTS; attempt++) {
+            let raw;
+            try {
+                raw = await providers[provider].complete(currentPrompt, { model, system, task, schema, json: true });
+            } catch (err) {
+                // Provider is down or rejected the request: move on to the fallback provider
+                console.error(`LLM provider "${provider}" failed:`, err.message);
+                errors.push(`${provider}: ${err.message}`);
+                break;
+            }
+
+            let data = null;
+            let problems;
+            try {
+                data = parseJSON(raw);
+                problems = validateSchema(data, schema);
+            } catch (err) {
+                problems = [`Response was not valid JSON (${err.message})`];
+            }
+
+            if (problems.length === 0) return { data: redactor ? redactor.restoreDeep(data) : data, provider, model, attempts: attempt };
+
+            console.warn(`LLM provider "${provider}" returned invalid output (attempt ${attempt}):`, problems);
+            if (attempt === MAX_SCHEMA_ATTEMPTS) errors.push(`${provider}: invalid output after ${attempt} attempts (${problems.join('; ')})`);
+
+            currentPrompt = `${sentPrompt}
+
+            YOUR PREVIOUS RESPONSE WAS REJECTED FOR THESE REASONS:
+            ${problems.map(p => `- ${p}`).join('\n')}
+            Return ONLY a corrected JSON object with the exact structure requested above.`;
+        }
+    }
+    throw new Error("All LLM providers failed. " + errors.join(' | '));
+}
+
+/**
+ * Embeds text with the same model used for the hybrid_search corpus.
+ * Under the mock provider a deterministic pseudo-random vector is returned instead.
+ */
+async function embedText(text, settings = {}) {
+    if (selectedProvider(settings) === 'mock') return mockEmbedding(text);
+    const embeddingModel = getGemini().getGenerativeModel({ model: EMBEDDING_MODEL });
+    const result = await embeddingModel.embedContent(text);
+    return result.embedding.values;
+}
+
+/**
+ * Embeds many texts (e.g. knowledge base chunks) in batches. Resolves to an array of vectors
+ * in the same order as `texts`.
+ */
+async function embedTexts(texts, settings = {}) {
+    if (selectedProvider(settings) === 'mock') return texts.map(mockEmbedding);
+
+    const embeddingModel = getGemini().getGenerativeModel({ model: EMBEDDING_MODEL });
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+        const batch = texts.slice(i, i + EMBEDDING_BATCH_SIZE);
+        const result = await embeddingModel.batchEmbedContents({
+            requests: batch.map(text => ({ content: { role: "user", parts: [{ text }] } }))
+        });
+        result.embeddings.forEach(e => vectors.push(e.values));
+    }
+    return vectors;
+}
+
+function mockEmbedding(text) {
+    let seed = parseInt(hashString(text), 16);
+    const values = [];
+    for (let i = 0; i < EMBEDDING_DIMENSIONS; i++) {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        values.push(seed / 2147483648 - 0.5);
+    }
+    return values;
+}
+
+module.exports = {
+    DEFAULT_MODELS,
+    SELECTABLE_PROVIDERS,
+    EMBEDDING_MODEL,
+    generateText,
+    generateJSON,
+    embedText,
+    embedTexts,
+    getProviderOrder,
+    resolveModel
+};
@@ -0,0 +1,103 @@
+// ==========================================
+// OUTBOUND EMAIL (WITH ATTACHMENTS)
+// ==========================================
+// Pluggable transport selected with MAIL_TRANSPORT:
+//   - "smtp" (default) sends through nodemailer to SMTP_HOST:SMTP_PORT. Letters carry client details,
+//     so a remote server must offer TLS: implicit TLS with SMTP_SECURE=true (port 465), otherwise
+//     STARTTLS is required and the send fails rather than fall back to plain text. Only a catcher on
+//     this machine (the default localhost:1025, e.g. Mailpit or MailHog) may be spoken to without TLS,
+//     and never with SMTP_USER / SMTP_PASS.
+//   - "log" prints the message instead of sending it.
+// Add a transport by implementing send(message), resolving to { messageId, status }.
+
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'smtp';
+const MAIL_FROM = process.env.MAIL_FROM || 'letters@localhost';
+const SMTP_HOST = process.env.SMTP_HOST || 'localhost';
+const SMTP_PORT = parseInt(process.env.SMTP_PORT || '1025', 10);
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+const SMTP_USER = process.env.SMTP_USER;
+const SMTP_PASS = process.env.SMTP_PASS;
+const SMTP_TIMEOUT_MS = 20000;
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+
+// Pulls the first email address out of free text like "HR: hr@acme.co.za / 011 555 0000"
+function extractEmail(text) {
+    const match = String(text || '').match(EMAIL_PATTERN);
+    return match ? match[0] : null;
+}
+
+// --- SMTP ---
+
+let smtpTransport = null;
+
+function getSmtpTransport() {
+    if (smtpTransport) return smtpTransport;
+    // Plain text is only tolerated for a catcher on this machine, and never with credentials
+    const plainAllowed = LOOPBACK_HOSTS.includes(SMTP_HOST) && !SMTP_USER;
+    smtpTransport = nodemailer.createTransport({
+        host: SMTP_HOST,
+        port: SMTP_PORT,
+        secure: SMTP_SECURE,
+        requireTLS: !SMTP_SECURE && !plainAllowed,   // STARTTLS, or no AUTH and no DATA at all
+        auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS || '' } : undefined,
+        connectionTimeout: SMTP_TIMEOUT_MS,
+        greetingTimeout: SMTP_TIMEOUT_MS,
+        socketTimeout: SMTP_TIMEOUT_MS
+    });
+    return smtpTransport;
+}
+
+const transports = {
+    smtp: {
+        async send(message) {
+            try {
+                const info = await getSmtpTransport().sendMail({
+                    from: message.from,
+                    to: message.to,
+                    cc: message.cc,
+                    subject: message.subject,
+                    text: message.text,
+                    attachments: message.attachments
+                });
+                return { messageId: info.messageId, status: 'sent' };
+            } catch (error) {
+                throw new Error(`SMTP send via ${SMTP_HOST}:${SMTP_PORT} failed: ${error.message}`);
+            }
+        }
+    },
+    log: {
+        async send(message) {
+            const messageId = `<${crypto.randomUUID()}@${message.from.split('@')[1] || 'localhost'}>`;
+            const files = (message.attachments || []).map(f => `${f.filename} (${f.content.length} bytes)`).join(', ');
+            console.log(`[MAIL LOG] ${messageId} to=${message.to.join(', ')}${message.cc.length ? ` cc=${message.cc.join(', ')}` : ''} subject="${message.subject}"${files ? ` attachments=${files}` : ''}\n${message.text}`);
+            return { messageId, status: 'sent' };
+        }
+    }
+};
+
+/**
+ * Sends an email. `to` and `cc` take an address or a list of addresses; attachments are
+ * { filename, contentType, content: Buffer }. Resolves to { messageId, status, transport }.
+ */
+async function sendMail({ from, to, cc, subject, text, attachments }) {
+    const transport = transports[MAIL_TRANSPORT];
+    if (!transport) throw new Error(`Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}"`);
+
+    const toList = [].concat(to || []).filter(Boolean);
+    const ccList = [].concat(cc || []).filter(Boolean);
+    if (!toList.length) throw new Error("A recipient email address is required");
+    [...toList, ...ccList].forEach(address => {
+        if (!/^[^\s@<>,;]+@[^\s@<>,;]+\.[^\s@<>,;]+$/.test(address)) throw new Error(`Invalid email address "${address}"`);
+    });
+
+    const result = await transport.send({ from: from || MAIL_FROM, to: toList, cc: ccList, subject, text, attachments: attachments || [] });
+    return { ...result, transport: MAIL_TRANSPORT };
+}
+
+module.exports = { MAIL_FROM, extractEmail, sendMail };
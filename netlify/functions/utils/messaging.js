@@ -0,0 +1,31 @@
+// ==========================================
+// OUTBOUND SMS / EMAIL
+// ==========================================
+// Pluggable sender selected with MESSAGE_PROVIDER. Only the local "stub" sender ships today:
+// it logs the message instead of sending it, so flows that notify clients can run end-to-end
+// without a gateway account. Add a real provider by implementing send({ channel, to, subject, body }).
+
+const MESSAGE_PROVIDER = process.env.MESSAGE_PROVIDER || 'stub';
+
+const senders = {
+    stub: {
+        async send({ channel, to, subject, body }) {
+            const id = `stub_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+            console.log(`[STUB ${channel.toUpperCase()}] id=${id} to=${to}${subject ? ` subject="${subject}"` : ''}\n${body}`);
+            return { id, provider: 'stub', status: 'sent' };
+        }
+    }
+};
+
+function guessChannel(destination) {
+    return /@/.test(String(destination)) ? 'email' : 'sms';
+}
+
+async function sendMessage({ channel, to, subject, body }) {
+    const sender = senders[MESSAGE_PROVIDER];
+    if (!sender) throw new Error(`Unknown MESSAGE_PROVIDER "${MESSAGE_PROVIDER}"`);
+    if (!to) throw new Error("A destination phone number or email address is required");
+    return sender.send({ channel: channel || guessChannel(to), to, subject, body });
+}
+
+module.exports = { sendMessage, guessChannel };
@@ -0,0 +1,200 @@
+// ==========================================
+// FIXED-FEE PAYMENTS
+// ==========================================
+// One invoice per letter. It is opened when a client asks for a letter (case -> requires_attorney);
+// the payment link goes to the client when the letter is approved, and the letter cannot leave the
+// firm until the invoice is paid. Payment links come from a pluggable gateway selected with
+// PAYMENT_GATEWAY. Only the local "stub" gateway ships today: its link opens a test checkout page
+// that fires a signed webhook, so the whole flow can run without a merchant account.
+// Add a real gateway by implementing createPaymentLink(invoice) and parseWebhook(event).
+//
+// Payments fail closed: no links are issued and no callbacks accepted until PAYMENT_GATEWAY and a
+// PAYMENT_WEBHOOK_SECRET are set. The stub lets anyone holding the link mark the invoice paid, so it
+// also needs ALLOW_STUB_PAYMENTS=true and must never be enabled on the live site.
+
+const crypto = require('crypto');
+const { sendMessage, guessChannel } = require('./messaging');
+
+const PAYMENT_GATEWAY = process.env.PAYMENT_GATEWAY;
+const PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET;
+const ALLOW_STUB_PAYMENTS = process.env.ALLOW_STUB_PAYMENTS === 'true';
+const MIN_SECRET_LENGTH = 32;
+const SITE_URL = process.env.URL || 'http://localhost:8888'; // Netlify sets URL to the site's main address
+
+const DEFAULT_LETTER_FEE = 350; // Rand, used until an admin sets `letter_fee` in Firm Settings
+const CURRENCY = 'ZAR';
+const OPEN_STATUSES = ['pending', 'paid']; // at most one of these per case; void ones are history
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function signStub(reference, status) {
+    return crypto.createHmac('sha256', PAYMENT_WEBHOOK_SECRET).update(`${reference}:${status}`).digest('hex');
+}
+
+const gateways = {
+    stub: {
+        async createPaymentLink(invoice) {
+            const reference = `stub_${invoice.id.replace(/-/g, '').slice(0, 12)}_${Date.now().toString(36)}`;
+            return { reference, url: `${SITE_URL}/.netlify/functions/payment_webhook?reference=${reference}` };
+        },
+
+        // GET on the link: a bare-bones checkout page with buttons that post a signed webhook
+        renderCheckout(invoice) {
+            const form = (status, label) => `
+                <form method="POST" action="/.netlify/functions/payment_webhook" style="display:inline">
+                    <input type="hidden" name="reference" value="${escapeHtml(invoice.gateway_reference)}">
+                    <input type="hidden" name="status" value="${status}">
+                    <input type="hidden" name="signature" value="${signStub(invoice.gateway_reference, status)}">
+                    <button type="submit">${label}</button>
+                </form>`;
+            const amount = (invoice.amount_cents / 100).toFixed(2);
+            return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Test checkout</title></head>
+                <body style="font-family: sans-serif; max-width: 480px; margin: 60px auto;">
+                <h2>Test checkout (stub gateway)</h2>
+                <p>${escapeHtml(invoice.description)}</p>
+                <p><strong>${escapeHtml(invoice.currency)} ${amount}</strong> &middot; Status: ${escapeHtml(invoice.status)}</p>
+                ${invoice.status === 'pending' ? `${form('paid', 'Simulate successful payment')} ${form('failed', 'Simulate failed payment')}` : ''}
+                </body></html>`;
+        },
+
+        // Resolves to { reference, status: 'paid' | 'failed', payload }
+        async parseWebhook(event) {
+            const raw = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : (event.body || '');
+            const isJson = /json/i.test((event.headers || {})['content-type'] || '');
+            const payload = isJson ? JSON.parse(raw) : Object.fromEntries(new URLSearchParams(raw));
+
+            if (!['paid', 'failed'].includes(payload.status)) throw new Error("Unknown payment status");
+            const expected = signStub(payload.reference || '', payload.status);
+            const given = String(payload.signature || '');
+            if (given.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected))) {
+                throw new Error("Invalid webhook signature");
+            }
+            return { reference: payload.reference, status: payload.status, payload: { reference: payload.reference, status: payload.status } };
+        }
+    }
+};
+
+/**
+ * The configured gateway. Throws unless payments are fully configured (see the header above),
+ * so callers never issue a link or trust a callback on the defaults.
+ */
+function getGateway() {
+    if (!PAYMENT_GATEWAY) throw new Error("Payments are not configured: set PAYMENT_GATEWAY and PAYMENT_WEBHOOK_SECRET");
+    const gateway = gateways[PAYMENT_GATEWAY];
+    if (!gateway) throw new Error(`Unknown PAYMENT_GATEWAY "${PAYMENT_GATEWAY}"`);
+    if (!PAYMENT_WEBHOOK_SECRET || PAYMENT_WEBHOOK_SECRET.length < MIN_SECRET_LENGTH) {
+        throw new Error(`Payments are not configured: PAYMENT_WEBHOOK_SECRET must be at least ${MIN_SECRET_LENGTH} characters`);
+    }
+    if (PAYMENT_GATEWAY === 'stub' && !ALLOW_STUB_PAYMENTS) {
+        throw new Error("The stub payment gateway is for testing only; set ALLOW_STUB_PAYMENTS=true to use it");
+    }
+    return gateway;
+}
+
+function letterFeeCents(settings = {}) {
+    const rands = parseFloat(settings.letter_fee);
+    return Math.round((Number.isFinite(rands) && rands > 0 ? rands : DEFAULT_LETTER_FEE) * 100);
+}
+
+async function getOpenInvoice(supabase, caseId) {
+    const { data, error } = await supabase
+        .from('invoices')
+        .select('*')
+        .eq('case_id', caseId)
+        .in('status', OPEN_STATUSES)
+        .order('created_at', { ascending: false })
+        .limit(1);
+    if (error) throw error;
+    return data && data.length ? data[0] : null;
+}
+
+/**
+ * Opens the letter invoice for a case and its payment link. Safe to call twice: an existing
+ * pending or paid invoice is returned instead of creating another, and one left without a link by
+ * an earlier failure gets its link now.
+ */
+async function createInvoiceForCase(supabase, caseRow, settings) {
+    const existing = await getOpenInvoice(supabase, caseRow.id);
+    if (existing && (existing.status !== 'pending' || existing.payment_url)) return existing;
+    const gateway = getGateway(); // before the insert, so an unconfigured site leaves no half-made invoice
+    if (existing && existing.gateway === PAYMENT_GATEWAY) return attachPaymentLink(supabase, gateway, existing);
+    if (existing) await voidInvoice(supabase, existing.id); // issued by another gateway; start again
+
+    const { data: invoice, error } = await supabase.from('invoices').insert({
+        case_id: caseRow.id,
+        amount_cents: letterFeeCents(settings),
+        currency: CURRENCY,
+        description: `Demand letter${caseRow.client_name ? ` for ${caseRow.client_name}` : ''}`,
+        status: 'pending',
+        gateway: PAYMENT_GATEWAY
+    }).select().single();
+    if (error) throw new Error("Could not create invoice: " + error.message);
+
+    return attachPaymentLink(supabase, gateway, invoice);
+}
+
+// A pending invoice without a link can never be paid, so if the link cannot be made the invoice is voided
+async function attachPaymentLink(supabase, gateway, invoice) {
+    try {
+        const link = await gateway.createPaymentLink(invoice);
+        const { data: updated, error: linkErr } = await supabase.from('invoices')
+            .update({ gateway_reference: link.reference, payment_url: link.url, updated_at: new Date().toISOString() })
+            .eq('id', invoice.id).select().single();
+        if (linkErr) throw new Error("Could not save payment link: " + linkErr.message);
+        return updated;
+    } catch (error) {
+        await voidInvoice(supabase, invoice.id).catch(e => console.error("Could not void invoice without a link:", e.message));
+        throw error;
+    }
+}
+
+async function voidInvoice(supabase, invoiceId) {
+    const now = new Date().toISOString();
+    const { error } = await supabase.from('invoices').update({ status: 'void', voided_at: now, updated_at: now }).eq('id', invoiceId).eq('status', 'pending');
+    if (error) throw error;
+}
+
+// Texts or emails the payment link to the client's contact details from the intake
+async function sendPaymentLink(supabase, invoice, caseRow) {
+    if (invoice.status !== 'pending') throw new Error(`Invoice is ${invoice.status}; only pending invoices can be sent`);
+    getGateway();
+    if (invoice.gateway !== PAYMENT_GATEWAY || !invoice.payment_url) throw new Error(`This invoice was issued by the "${invoice.gateway}" gateway; void it and create a new one`);
+    const to = caseRow.contact_info || (caseRow.case_facts || {}).contact_info;
+    if (!to) throw new Error("The client has no contact details on file");
+
+    const amount = `${invoice.currency} ${(invoice.amount_cents / 100).toFixed(2)}`;
+    await sendMessage({
+        channel: guessChannel(to),
+        to,
+        subject: "Your demand letter is ready - payment link",
+        body: `Hi${caseRow.client_name ? ` ${caseRow.client_name}` : ''}, this is Justine. Your demand letter has been approved by our legal team. Pay the fixed fee of ${amount} here and we will send it to your employer:\n${invoice.payment_url}`
+    });
+
+    const { data, error } = await supabase.from('invoices').update({
+        link_sent_at: new Date().toISOString(),
+        link_sent_count: (invoice.link_sent_count || 0) + 1,
+        updated_at: new Date().toISOString()
+    }).eq('id', invoice.id).select().single();
+    if (error) throw error;
+    return data;
+}
+
+// Dispatch gate: a letter may only be released once its invoice is paid
+async function isPaymentCleared(supabase, caseId) {
+    const invoice = await getOpenInvoice(supabase, caseId);
+    return !!invoice && invoice.status === 'paid';
+}
+
+module.exports = {
+    CURRENCY,
+    DEFAULT_LETTER_FEE,
+    getGateway,
+    letterFeeCents,
+    getOpenInvoice,
+    createInvoiceForCase,
+    sendPaymentLink,
+    isPaymentCleared
+};
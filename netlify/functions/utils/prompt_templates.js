@@ -0,0 +1,209 @@
+// ==========================================
+// VERSIONED PROMPT TEMPLATES
+// ==========================================
+// The merit evaluation prompt and each document type's drafting prompt are stored as versioned text
+// in `prompt_templates`, one version series per template key ("evaluate", "demand_letter", ...).
+// Templates use placeholders like {{legal_context}} or {{facts.employer_name}}: the variables each
+// template may use are listed in TEMPLATES, and a facts placeholder must name a known case_facts key.
+// Only one version per key is published at a time; with none published the built-in wording is version 0.
+
+const { DEFAULT_FLOW } = require('./default_flow');
+const { factLabels } = require('./intake_flow');
+const { DOCUMENT_TYPES } = require('./document_types');
+const { describeDeadline, todayInSA } = require('./deadlines');
+const { EVALUATION_SYSTEM, EVALUATION_SCHEMA, DEFAULT_EVALUATION_PROMPT } = require('./default_prompts');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_][a-z0-9_.]*)\s*\}\}/g;
+const MAX_TEMPLATE_CHARS = 20000;
+
+// Facts every case carries whatever the flow version (see the coreFacts in ask.js)
+const CORE_FACT_LABELS = {
+    client_name: "Client Name",
+    contact_info: "Client Contact",
+    employer_name: "Employer Name",
+    employer_contact_details: "Employer Contact",
+    incident_date: "Incident Date",
+    incident_description: "Incident Description",
+    hearing_held: "Hearing Held",
+    employment_status: "Employment Status",
+    sector: "Sector",
+    contract_type: "Contract Type",
+    wants_letter: "Wants Letter",
+    merit_assessment: "Merit Assessment",
+    legal_reasoning: "Legal Reasoning",
+    preferred_language: "Preferred Language"
+};
+
+const EVALUATION_VARIABLES = {
+    facts_json: "Everything the client told us, as JSON (in English)",
+    legal_context: "Retrieved legislation and case law, tagged [S1], [S2], ...",
+    documents: "Excerpts from the client's uploads, tagged [D1], [D2], ...",
+    referral_deadline: "The CCMA referral time limit, in plain English",
+    language: "The language the client is chatting in (for the pitch)"
+};
+
+const DRAFTING_VARIABLES = {
+    'firm.name': "Firm name from Settings",
+    'firm.address': "Firm address from Settings",
+    'firm.contact': "Firm contact details from Settings",
+    today: "Today's date in South Africa, e.g. 19 October 2026",
+    referral_deadline: "The CCMA referral time limit, in plain English",
+    condonation_note: "Whether the referral is late and condonation is needed"
+};
+
+// Every editable template. `task` picks the LLM routing in llm.js; `schema` only applies to JSON tasks.
+const TEMPLATES = {
+    evaluate: {
+        label: "Merit Evaluation & Pitch",
+        task: 'evaluate',
+        system: EVALUATION_SYSTEM,
+        schema: EVALUATION_SCHEMA,
+        variables: EVALUATION_VARIABLES,
+        required: ['facts_json', 'legal_context', 'language'],
+        recommended: ['documents', 'referral_deadline'],
+        defaultBody: DEFAULT_EVALUATION_PROMPT
+    }
+};
+Object.entries(DOCUMENT_TYPES).forEach(([key, type]) => {
+    TEMPLATES[key] = {
+        label: `Drafting: ${type.label}`,
+        task: 'draft',
+        variables: DRAFTING_VARIABLES,
+        required: ['firm.name'],
+        recommended: [],
+        defaultBody: type.prompt
+    };
+});
+
+function getTemplateDefinition(key) {
+    return TEMPLATES[key] || null;
+}
+
+// Placeholder names in the order they appear, without duplicates
+function listPlaceholders(body) {
+    return [...new Set([...String(body || '').matchAll(PLACEHOLDER_PATTERN)].map(m => m[1]))];
+}
+
+/**
+ * Every case_facts key a template may reference, mapped to its admin label: the core facts plus
+ * whatever the built-in flow and every saved flow version collect.
+ */
+async function knownFactKeys(supabase) {
+    const labels = { ...CORE_FACT_LABELS, ...factLabels(DEFAULT_FLOW) };
+    const { data, error } = await supabase.from('intake_flows').select('definition').order('version', { ascending: true });
+    if (error) throw error;
+    (data || []).forEach(v => Object.assign(labels, factLabels(v.definition)));
+    return labels;
+}
+
+/**
+ * Validates a template body against its key's variables and the known fact keys.
+ * Returns { errors, warnings }; the template may only be saved when `errors` is empty.
+ */
+function validatePromptTemplate(key, body, factKeys = {}) {
+    const errors = [];
+    const warnings = [];
+
+    const definition = getTemplateDefinition(key);
+    if (!definition) return { errors: [`Unknown template "${key}".`], warnings };
+    if (typeof body !== 'string' || !body.trim()) return { errors: ["The template is empty."], warnings };
+    if (body.length > MAX_TEMPLATE_CHARS) errors.push(`The template is ${body.length} characters; the limit is ${MAX_TEMPLATE_CHARS}.`);
+
+    // 1. Every placeholder must be a variable of this template or a known case fact
+    const placeholders = listPlaceholders(body);
+    placeholders.forEach(name => {
+        if (name.startsWith('facts.')) {
+            const factKey = name.slice('facts.'.length);
+            if (!factKeys[factKey]) errors.push(`{{${name}}}: "${factKey}" is not a known case fact.`);
+        } else if (!definition.variables[name]) {
+            errors.push(`{{${name}}}: unknown placeholder. Use one of ${Object.keys(definition.variables).map(v => `{{${v}}}`).join(', ')} or {{facts.<key>}}.`);
+        }
+    });
+
+    // 2. Braces left over once the valid placeholders are taken out are typos, e.g. "{{ facts.sector }" or "{{Employer}}"
+    const leftover = body.replace(PLACEHOLDER_PATTERN, '');
+    if (leftover.includes('{{') || leftover.includes('}}')) errors.push("Malformed placeholder: check for unmatched {{ or }} (names are lower-case snake_case).");
+
+    // 3. What the code relies on
+    definition.required.filter(name => !placeholders.includes(name)).forEach(name => errors.push(`Missing required placeholder {{${name}}}.`));
+    definition.recommended.filter(name => !placeholders.includes(name)).forEach(name => warnings.push(`{{${name}}} is not used; the LLM will not see it.`));
+
+    if (definition.schema) {
+        // The reply is validated against the schema, so the prompt must still ask for every field
+        definition.schema.required.filter(field => !body.includes(field)).forEach(field => errors.push(`The prompt never mentions the "${field}" field the reply must contain.`));
+    } else if (!placeholders.some(name => name.startsWith('facts.'))) {
+        warnings.push("No {{facts.<key>}} placeholders: the document will not see the case details.");
+    }
+
+    return { errors: [...new Set(errors)], warnings };
+}
+
+function formatFact(value) {
+    if (value === undefined || value === null || value === '') return 'N/A';
+    if (value === true || value === 'true') return 'Yes';
+    if (value === false || value === 'false') return 'No';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Fills in a template. `vars` holds the template variables, `facts` the case facts.
+ * Anything missing renders as "N/A" so a stale placeholder never reaches the LLM verbatim.
+ */
+function renderTemplate(body, vars = {}, facts = {}) {
+    return String(body).replace(PLACEHOLDER_PATTERN, (match, name) => {
+        if (name.startsWith('facts.')) return formatFact(facts[name.slice('facts.'.length)]);
+        const value = vars[name];
+        return value === undefined || value === null || value === '' ? 'N/A' : String(value);
+    });
+}
+
+function evaluationVariables({ facts, contextText, evidenceText, deadline, language }) {
+    return {
+        facts_json: JSON.stringify(facts, null, 2),
+        legal_context: contextText,
+        documents: evidenceText || 'None uploaded.',
+        referral_deadline: describeDeadline(deadline),
+        language
+    };
+}
+
+function draftingVariables({ firm, deadline }) {
+    return {
+        'firm.name': firm.name,
+        'firm.address': firm.address,
+        'firm.contact': firm.contact,
+        today: todayInSA().toLocaleDateString('en-ZA', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' }),
+        referral_deadline: describeDeadline(deadline),
+        condonation_note: deadline && deadline.condonation_required
+            ? 'It IS late, so state that a condonation application is attached.'
+            : 'It is within time, so state that condonation is not required.'
+    };
+}
+
+async function getPublishedTemplate(supabase, key) {
+    const { data, error } = await supabase
+        .from('prompt_templates')
+        .select('version, body')
+        .eq('template_key', key)
+        .eq('status', 'published')
+        .order('published_at', { ascending: false, nullsFirst: false })
+        .order('version', { ascending: false })
+        .limit(1);
+    if (error) throw error;
+
+    if (!data || data.length === 0) return { version: 0, body: TEMPLATES[key].defaultBody };
+    return data[0];
+}
+
+module.exports = {
+    TEMPLATES,
+    getTemplateDefinition,
+    listPlaceholders,
+    knownFactKeys,
+    validatePromptTemplate,
+    renderTemplate,
+    evaluationVariables,
+    draftingVariables,
+    getPublishedTemplate
+};
@@ -0,0 +1,128 @@
+// ==========================================
+// PII REDACTION FOR LLM CALLS (POPIA)
+// ==========================================
+// Prompts are sent to Gemini/OpenAI, so personal identifiers are swapped for placeholders such as
+// [CLIENT_NAME] or [PHONE_1] before a prompt leaves the server, and the real values are put back
+// into whatever the model returns. Known values come from the case facts (names and contact
+// details the client typed); patterns catch anything else that looks like an email address, a
+// South African phone number or an ID number, e.g. inside a free-text incident story.
+//
+// Limitations:
+//   - Only the client's and employer's own details are known values. Anyone else the client names in
+//     free text (a manager, a colleague, a witness) is not recognised and still reaches the LLM by name,
+//     unless they wrote down that person's email address, phone or ID number.
+//   - Names are matched whole and by their parts ("Acme" for "Acme Mining"), but generic company words
+//     ("Mining", "Holdings") are left alone, and abbreviations, nicknames or misspellings the client
+//     uses ("AMC" for "Acme Mining Corp") are not caught.
+//
+// Pass a redactor to generateText/generateJSON (see llm.js) and it is applied automatically.
+
+// Case facts that identify a person or a business, and the placeholder each one becomes
+const PII_FACT_KEYS = {
+    client_name: 'CLIENT_NAME',
+    contact_info: 'CLIENT_CONTACT',
+    employer_name: 'EMPLOYER_NAME',
+    employer_contact_details: 'EMPLOYER_CONTACT'
+};
+
+const PII_PATTERNS = [
+    { label: 'EMAIL', pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+    { label: 'ID_NUMBER', pattern: /\b\d{2}(?:0[1-9]|1[0-2])(?:0[1-9]|[12]\d|3[01])\d{7}\b/g }, // YYMMDD + 7 digits
+    { label: 'PHONE', pattern: /(?:\+27|\b0)(?:[\s-]?\d){9}\b/g }
+];
+
+const PLACEHOLDER_PATTERN = /\[([A-Z]+(?:_[A-Z]+)*(?:_\d+)?)\]/g;
+
+const MIN_NAME_PART_LENGTH = 3; // "Thabo" in a story is caught by the client name "Thabo Mokoena"
+const NAME_PARTICLES = ['van', 'der', 'den', 'von', 'les', 'del']; // "van" alone is an ordinary word
+
+// Names split into parts, and the placeholder a part becomes ("Acme" from "Acme Mining (Pty) Ltd")
+const NAME_PART_KEYS = { client_name: 'CLIENT_NAME_PART', employer_name: 'EMPLOYER_NAME_PART' };
+
+// Words in company names that say nothing about who the employer is; redacting them would
+// also hide the sector and the facts ("the mining shift", "the security company")
+const COMPANY_WORDS = [
+    'pty', 'ltd', 'limited', 'inc', 'incorporated', 'company', 'group', 'holdings', 'trading', 'enterprises',
+    'services', 'solutions', 'industries', 'international', 'africa', 'south', 'african', 'the', 'and',
+    'mining', 'mines', 'construction', 'security', 'cleaning', 'logistics', 'transport', 'retail', 'stores',
+    'farm', 'farms', 'manufacturing', 'engineering', 'hospitality', 'hotel', 'restaurant', 'school', 'clinic',
+    'hospital', 'municipality', 'department', 'bank', 'insurance', 'motors', 'foods', 'consulting'
+];
+
+function nameParts(value, skip) {
+    return value.split(/\s+/)
+        .map(part => part.replace(/^[^\w]+|[^\w]+$/g, ''))
+        .filter(part => part.length >= MIN_NAME_PART_LENGTH && part.toLowerCase() !== value.toLowerCase() && !skip.includes(part.toLowerCase()));
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function createRedactor(facts = {}) {
+    const byPlaceholder = new Map(); // "[PHONE_1]" -> "082 555 0101"
+    const byValue = new Map();       // "082 555 0101" (lower case) -> "[PHONE_1]"
+    const counters = {};
+
+    function placeholderFor(value, label, numbered = true) {
+        const key = value.toLowerCase();
+        if (byValue.has(key)) return byValue.get(key);
+        counters[label] = (counters[label] || 0) + 1;
+        const placeholder = numbered ? `[${label}_${counters[label]}]` : `[${label}]`;
+        byValue.set(key, placeholder);
+        byPlaceholder.set(placeholder, value);
+        return placeholder;
+    }
+
+    // Known values: the whole value first, then the individual parts of a name
+    const known = [];
+    Object.entries(PII_FACT_KEYS).forEach(([key, label]) => {
+        const value = typeof facts[key] === 'string' ? facts[key].trim() : '';
+        if (!value) return;
+        known.push({ value, placeholder: placeholderFor(value, label, false) });
+        if (NAME_PART_KEYS[key]) {
+            nameParts(value, key === 'employer_name' ? COMPANY_WORDS : NAME_PARTICLES)
+                .forEach(part => known.push({ value: part, placeholder: placeholderFor(part, NAME_PART_KEYS[key]) }));
+        }
+    });
+    known.sort((a, b) => b.value.length - a.value.length); // longest first, so "Thabo Mokoena" beats "Thabo"
+
+    function redact(text) {
+        if (typeof text !== 'string' || !text) return text;
+        let result = text;
+        known.forEach(({ value, placeholder }) => {
+            result = result.replace(new RegExp(`(?<![\\w@.])${escapeRegExp(value)}(?![\\w@])`, 'gi'), placeholder);
+        });
+        PII_PATTERNS.forEach(({ label, pattern }) => {
+            result = result.replace(pattern, match => placeholderFor(match, label));
+        });
+        return result;
+    }
+
+    // Unknown placeholders (e.g. a "[date]" the model wrote itself) are left as they are
+    function restore(text) {
+        if (typeof text !== 'string' || !text) return text;
+        return text.replace(PLACEHOLDER_PATTERN, (match) => byPlaceholder.has(match) ? byPlaceholder.get(match) : match);
+    }
+
+    function restoreDeep(value) {
+        if (typeof value === 'string') return restore(value);
+        if (Array.isArray(value)) return value.map(restoreDeep);
+        if (value && typeof value === 'object') {
+            const out = {};
+            Object.entries(value).forEach(([k, v]) => out[k] = restoreDeep(v));
+            return out;
+        }
+        return value;
+    }
+
+    // Appended to redacted prompts so the model keeps the placeholders intact
+    function instructions() {
+        if (byPlaceholder.size === 0) return '';
+        return `PRIVACY NOTE: Personal details have been replaced with placeholders in square brackets, such as ${[...byPlaceholder.keys()].slice(0, 3).join(', ')}. Use these placeholders exactly as written wherever that detail belongs, and never guess the real values.`;
+    }
+
+    return { redact, restore, restoreDeep, instructions, get size() { return byPlaceholder.size; } };
+}
+
+module.exports = { PII_FACT_KEYS, createRedactor };
@@ -0,0 +1,271 @@
+// ==========================================
+// PRACTICE REPORTS
+// ==========================================
+// Aggregates over the cases created in a date range: the intake funnel, the merit mix and conversion
+// per case attribute, which LLM provider did the evaluations (and whether they rate cases differently), and
+// how long it takes from intake to an approved letter. Everything is computed here from plain rows,
+// so the same report feeds the admin panel and the CSV export.
+
+const MERIT_LEVELS = ['High', 'Medium', 'Low'];
+
+// Case attributes the merit mix is broken down by (case_facts keys, plus the recorded prompt version)
+const MERIT_DIMENSIONS = {
+    sector: "Sector",
+    employment_status: "Employment Status",
+    contract_type: "Contract Type",
+    evaluation_prompt_version: "Evaluation Prompt Version"
+};
+
+const MAX_RANGE_DAYS = 731;
+const PAGE_SIZE = 1000;      // PostgREST returns at most this many rows per request
+const ID_CHUNK_SIZE = 200;   // keeps `in (...)` filters well inside URL limits
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SAST_OFFSET_MS = 2 * 60 * 60 * 1000;
+
+// A provider rating a merit level this many percentage points more or less often than another counts as
+// a disagreement, once each provider has evaluated enough cases for the share to mean something
+const DISAGREEMENT_GAP_POINTS = 15;
+const MIN_PROVIDER_SAMPLE = 10;
+
+const isYes = value => value === true || value === 'true';
+
+// Date.parse rolls "2026-02-31" over to 3 March, so a date only counts if it survives the round trip
+function isCalendarDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const parsed = new Date(`${value}T00:00:00Z`);
+    return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Checks a { from, to } pair of YYYY-MM-DD dates (both inclusive, South African days).
+ * Defaults to the last 30 days. Returns { from, to, fromIso, toIso } or { error }.
+ */
+function parseRange({ from, to } = {}) {
+    const today = new Date(Date.now() + SAST_OFFSET_MS).toISOString().slice(0, 10);
+    const end = to || today;
+    if (!isCalendarDate(end)) return { error: 'Dates must be real calendar dates in YYYY-MM-DD format' };
+    const start = from || new Date(Date.parse(end) - 29 * DAY_MS).toISOString().slice(0, 10);
+    if (!isCalendarDate(start)) return { error: 'Dates must be real calendar dates in YYYY-MM-DD format' };
+    if (start > end) return { error: 'The start date is after the end date' };
+    if ((Date.parse(end) - Date.parse(start)) / DAY_MS > MAX_RANGE_DAYS) return { error: `Reports cover at most ${MAX_RANGE_DAYS} days` };
+
+    return { from: start, to: end, fromIso: `${start}T00:00:00+02:00`, toIso: `${end}T23:59:59.999+02:00` };
+}
+
+async function fetchAllPages(buildQuery) {
+    const rows = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const { data, error } = await buildQuery().range(offset, offset + PAGE_SIZE - 1);
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) return rows;
+    }
+}
+
+async function fetchForCases(caseIds, buildQuery) {
+    const rows = [];
+    for (let i = 0; i < caseIds.length; i += ID_CHUNK_SIZE) {
+        rows.push(...await fetchAllPages(() => buildQuery(caseIds.slice(i, i + ID_CHUNK_SIZE))));
+    }
+    return rows;
+}
+
+/**
+ * Loads the rows a report needs: the cases created in the range, their paid invoices and the
+ * revisions where their letter was approved.
+ */
+async function loadReportData(supabase, range) {
+    const cases = await fetchAllPages(() => supabase.from('cases')
+        .select('id, created_at, status, letter_status, case_facts, evaluation_prompt_version')
+        .gte('created_at', range.fromIso)
+        .lte('created_at', range.toIso)
+        .order('created_at', { ascending: true }));
+
+    const caseIds = cases.map(c => c.id);
+    const paidInvoices = await fetchForCases(caseIds, ids => supabase.from('invoices').select('case_id, paid_at').in('case_id', ids).eq('status', 'paid'));
+    const approvals = await fetchForCases(caseIds, ids => supabase.from('letter_revisions').select('case_id, created_at').in('case_id', ids).eq('letter_status', 'approved'));
+
+    return { cases, paidInvoices, approvals };
+}
+
+function percent(part, whole) {
+    return whole ? Math.round((part / whole) * 1000) / 10 : 0;
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function meritOf(caseRow) {
+    const merit = (caseRow.case_facts || {}).merit_assessment;
+    return MERIT_LEVELS.includes(merit) ? merit : null;
+}
+
+function emptyMix() {
+    const mix = { total: 0 };
+    MERIT_LEVELS.forEach(level => { mix[level] = 0; });
+    return mix;
+}
+
+function groupValue(caseRow, dimension) {
+    const value = dimension in caseRow ? caseRow[dimension] : (caseRow.case_facts || {})[dimension];
+    if (value === null || value === undefined || value === '') return 'Not recorded';
+    return dimension === 'evaluation_prompt_version' ? `v${value}` : String(value);
+}
+
+/**
+ * Builds the report from loadReportData's rows.
+ */
+function buildReport({ cases, paidInvoices, approvals }, range) {
+    const paid = new Set(paidInvoices.map(i => i.case_id));
+    const firstApproval = {};
+    approvals.forEach(a => {
+        if (!firstApproval[a.case_id] || a.created_at < firstApproval[a.case_id]) firstApproval[a.case_id] = a.created_at;
+    });
+    const evaluated = cases.filter(c => c.status !== 'incomplete' && meritOf(c));
+
+    // 1. Funnel: each stage is a subset of the one before it
+    const stages = [
+        { key: 'started', label: "Intake started", test: () => true },
+        { key: 'evaluated', label: "Evaluated", test: c => c.status !== 'incomplete' && !!meritOf(c) },
+        { key: 'has_merit', label: "High/Medium merit", test: c => meritOf(c) === 'High' || meritOf(c) === 'Medium' },
+        { key: 'wants_letter', label: "Wants letter", test: c => isYes((c.case_facts || {}).wants_letter) },
+        { key: 'approved', label: "Letter approved", test: c => c.letter_status === 'approved' || c.letter_status === 'sent' || !!firstApproval[c.id] },
+        { key: 'paid', label: "Paid", test: c => paid.has(c.id) }
+    ];
+    let remaining = cases;
+    const funnel = stages.map((stage, i) => {
+        const previous = remaining.length;
+        remaining = remaining.filter(stage.test);
+        return {
+            key: stage.key,
+            label: stage.label,
+            count: remaining.length,
+            percent_of_started: percent(remaining.length, cases.length),
+            percent_of_previous: i === 0 ? 100 : percent(remaining.length, previous)
+        };
+    });
+
+    // 2. Merit mix per attribute, with how many of those clients went on to want and pay for a letter
+    const merit = {};
+    Object.entries(MERIT_DIMENSIONS).forEach(([dimension, label]) => {
+        const groups = {};
+        evaluated.forEach(c => {
+            const value = groupValue(c, dimension);
+            groups[value] = groups[value] || { ...emptyMix(), wants_letter: 0, paid: 0 };
+            groups[value][meritOf(c)]++;
+            groups[value].total++;
+            if (isYes((c.case_facts || {}).wants_letter)) groups[value].wants_letter++;
+            if (paid.has(c.id)) groups[value].paid++;
+        });
+        merit[dimension] = {
+            label,
+            groups: Object.entries(groups).map(([value, mix]) => ({ value, ...mix, conversion: percent(mix.paid, mix.total) })).sort((a, b) => b.total - a.total)
+        };
+    });
+
+    // 3. Providers: who evaluated, how often the reply had to be re-asked, and where their merit mix differs
+    const byProvider = {};
+    evaluated.forEach(c => {
+        const meta = (c.case_facts || {}).ai_meta || {};
+        const provider = meta.provider || 'unknown';
+        byProvider[provider] = byProvider[provider] || { ...emptyMix(), retried: 0 };
+        byProvider[provider][meritOf(c)]++;
+        byProvider[provider].total++;
+        if (meta.attempts > 1) byProvider[provider].retried++;
+    });
+    const providerRows = Object.entries(byProvider).map(([provider, mix]) => ({
+        provider,
+        ...mix,
+        share: percent(mix.total, evaluated.length),
+        shares: Object.fromEntries(MERIT_LEVELS.map(level => [level, percent(mix[level], mix.total)]))
+    })).sort((a, b) => b.total - a.total);
+
+    const comparable = providerRows.filter(p => p.provider !== 'unknown' && p.total >= MIN_PROVIDER_SAMPLE);
+    const disagreements = [];
+    if (comparable.length > 1) {
+        MERIT_LEVELS.forEach(level => {
+            const ordered = comparable.slice().sort((a, b) => b.shares[level] - a.shares[level]);
+            const gap = Math.round((ordered[0].shares[level] - ordered[ordered.length - 1].shares[level]) * 10) / 10;
+            if (gap >= DISAGREEMENT_GAP_POINTS) {
+                disagreements.push({ merit: level, higher: ordered[0].provider, lower: ordered[ordered.length - 1].provider, gap_points: gap });
+            }
+        });
+    }
+
+    // 4. Time from intake to the first approval of the letter
+    const approvalDays = cases
+        .filter(c => firstApproval[c.id])
+        .map(c => (Date.parse(firstApproval[c.id]) - Date.parse(c.created_at)) / DAY_MS);
+    const medianDays = median(approvalDays);
+
+    return {
+        range: { from: range.from, to: range.to },
+        generated_at: new Date().toISOString(),
+        funnel,
+        merit,
+        providers: {
+            rows: providerRows,
+            disagreements,
+            min_sample: MIN_PROVIDER_SAMPLE,
+            gap_points: DISAGREEMENT_GAP_POINTS
+        },
+        approval_time: {
+            cases: approvalDays.length,
+            median_days: medianDays === null ? null : Math.round(medianDays * 10) / 10
+        }
+    };
+}
+
+// Spreadsheets run a cell starting with one of these as a formula; group labels come from client answers
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The report as one long-format CSV (report, group, measure, value), easy to pivot in a spreadsheet.
+ */
+function reportToCsv(report) {
+    const rows = [['report', 'group', 'measure', 'value']];
+    rows.push(['range', 'all', 'from', report.range.from], ['range', 'all', 'to', report.range.to]);
+
+    report.funnel.forEach(stage => {
+        rows.push(['funnel', stage.label, 'count', stage.count]);
+        rows.push(['funnel', stage.label, 'percent_of_started', stage.percent_of_started]);
+        rows.push(['funnel', stage.label, 'percent_of_previous', stage.percent_of_previous]);
+    });
+
+    Object.entries(report.merit).forEach(([dimension, { groups }]) => {
+        groups.forEach(group => {
+            MERIT_LEVELS.forEach(level => rows.push([`merit_by_${dimension}`, group.value, level, group[level]]));
+            rows.push([`merit_by_${dimension}`, group.value, 'total', group.total]);
+            rows.push([`merit_by_${dimension}`, group.value, 'wants_letter', group.wants_letter]);
+            rows.push([`merit_by_${dimension}`, group.value, 'paid', group.paid]);
+            rows.push([`merit_by_${dimension}`, group.value, 'percent_paid', group.conversion]);
+        });
+    });
+
+    report.providers.rows.forEach(p => {
+        rows.push(['providers', p.provider, 'evaluations', p.total]);
+        rows.push(['providers', p.provider, 'percent_of_evaluations', p.share]);
+        rows.push(['providers', p.provider, 'retried', p.retried]);
+        MERIT_LEVELS.forEach(level => rows.push(['providers', p.provider, `percent_${level.toLowerCase()}`, p.shares[level]]));
+    });
+    report.providers.disagreements.forEach(d => {
+        rows.push(['provider_disagreements', d.merit, `${d.higher}_vs_${d.lower}_gap_points`, d.gap_points]);
+    });
+
+    rows.push(['approval_time', 'all', 'approved_cases', report.approval_time.cases]);
+    rows.push(['approval_time', 'all', 'median_days', report.approval_time.median_days]);
+
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { MERIT_LEVELS, MERIT_DIMENSIONS, parseRange, loadReportData, buildReport, reportToCsv };
@@ -0,0 +1,85 @@
+// ==========================================
+// RETRIEVAL OF LEGAL AUTHORITIES (RAG)
+// ==========================================
+// Runs the hybrid_search RPC and labels each returned chunk [S1], [S2], ... so the LLM can
+// say which ones it relied on, and we can store them as traceable citations on the case.
+
+const { embedText } = require('./llm');
+
+const EXCERPT_CHARS = 500;
+
+// pgvector columns come back from PostgREST as "[0.1,0.2,...]" strings
+function parseVector(value) {
+    if (Array.isArray(value)) return value;
+    if (typeof value !== 'string') return null;
+    try { return JSON.parse(value); } catch (e) { return null; }
+}
+
+function cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return null;
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : null;
+}
+
+/**
+ * Searches the knowledge base. Resolves to { sources, contextText } where each source carries
+ * its reference tag, citation metadata and a relevance score between 0 and 1. The score is the
+ * cosine similarity to the query when the chunk's embedding is returned, otherwise it falls
+ * back to a rank-based score.
+ */
+async function retrieveAuthorities(supabase, queryText, settings, matchCount = 5) {
+    const queryEmbedding = await embedText(queryText, settings);
+
+    const { data: chunks, error } = await supabase.rpc('hybrid_search', {
+        query_text: queryText,
+        query_embedding: queryEmbedding,
+        match_count: matchCount,
+        full_text_weight: 1.0,
+        semantic_weight: 2.0,
+        rrf_k: 50
+    });
+    if (error) console.error("hybrid_search failed:", error.message);
+
+    const sources = (chunks || []).map((chunk, i) => {
+        const meta = chunk.metadata || {};
+        const similarity = cosineSimilarity(queryEmbedding, parseVector(chunk.embedding));
+        const relevance = similarity !== null ? Math.max(0, similarity) : 1 - i / Math.max(chunks.length, 1);
+        return {
+            ref: `S${i + 1}`,
+            chunk_id: chunk.id || null,
+            source_id: chunk.source_id || null,
+            title: meta.title || `Knowledge base extract #${chunk.id || i + 1}`,
+            citation: meta.citation || null,
+            section: meta.section || null,
+            doc_type: meta.doc_type || null,
+            court: meta.court || null,
+            document_date: meta.document_date || null,
+            relevance: Math.round(relevance * 1000) / 1000,
+            content: chunk.content
+        };
+    });
+
+    const contextText = sources.length
+        ? sources.map(s => `[${s.ref}] ${[s.title, s.citation, s.section].filter(Boolean).join(' | ')}\n${s.content}`).join("\n\n")
+        : "No specific case law found.";
+
+    return { sources, contextText };
+}
+
+// Keeps only the sources the model said it relied on, trimmed for storage on the case
+function citedSources(sources, refs) {
+    const wanted = new Set((refs || []).map(r => String(r).replace(/[\[\]\s]/g, '').toUpperCase()));
+    return sources
+        .filter(s => wanted.has(s.ref))
+        .map(({ content, ...rest }) => ({
+            ...rest,
+            excerpt: content.length > EXCERPT_CHARS ? content.slice(0, EXCERPT_CHARS) + '...' : content
+        }));
+}
+
+module.exports = { retrieveAuthorities, citedSources };
@@ -0,0 +1,64 @@
+// Minimal JSON Schema validator covering the subset we use for LLM output:
+// type (single or list), enum, required, properties, items, minItems, maxItems, minLength, minimum, maximum.
+// Returns an array of human-readable errors (empty when valid) so they can be fed back to the model.
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+function validateSchema(value, schema, path = '$') {
+    const errors = [];
+    if (!schema) return errors;
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(t => matchesType(value, t))) {
+            errors.push(`${path} should be of type ${types.join(' or ')} but was ${typeOf(value)}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')} but was ${JSON.stringify(value)}`);
+    }
+
+    if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push(`${path} should not be empty`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} should be <= ${schema.maximum}`);
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+            if (value[key] !== undefined) errors.push(...validateSchema(value[key], propSchema, `${path}.${key}`));
+        });
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} should have at least ${schema.minItems} item(s) but had ${value.length}`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} should have at most ${schema.maxItems} item(s) but had ${value.length}`);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+
+    return errors;
+}
+
+module.exports = { validateSchema };
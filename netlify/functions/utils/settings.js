@@ -0,0 +1,12 @@
+// Reads the key/value rows in system_settings into a plain object
+async function getSettings(supabase) {
+    const { data, error } = await supabase.from('system_settings').select('*');
+    if (error) throw error;
+
+    const settings = {};
+    if (data) data.forEach(row => settings[row.setting_name] = row.setting_value);
+    if (!settings.active_llm) settings.active_llm = 'gemini';
+    return settings;
+}
+
+module.exports = { getSettings };
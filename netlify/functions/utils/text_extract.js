@@ -0,0 +1,27 @@
+const { PDFParse } = require('pdf-parse');
+
+// Pulls plain text out of an upload. Accepts either raw `text` or a base64 file (data URL or bare base64).
+// PDFs are parsed locally; anything else is decoded as UTF-8 text.
+async function extractText({ text, fileBase64, fileName, mimeType }) {
+    if (text) return String(text);
+    if (!fileBase64) throw new Error("No text or file provided");
+
+    const dataUrlMatch = String(fileBase64).match(/^data:([^;]+);base64,(.+)$/);
+    const type = (dataUrlMatch ? dataUrlMatch[1] : mimeType) || '';
+    const buffer = Buffer.from(dataUrlMatch ? dataUrlMatch[2] : fileBase64, 'base64');
+
+    const isPdf = type === 'application/pdf' || /\.pdf$/i.test(fileName || '') || buffer.slice(0, 5).toString() === '%PDF-';
+    if (isPdf) {
+        const parser = new PDFParse({ data: buffer });
+        try {
+            const result = await parser.getText();
+            return result.text;
+        } finally {
+            await parser.destroy();
+        }
+    }
+
+    return buffer.toString('utf8');
+}
+
+module.exports = { extractText };
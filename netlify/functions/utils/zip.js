@@ -0,0 +1,94 @@
+// ==========================================
+// MINIMAL ZIP WRITER
+// ==========================================
+// Just enough of the ZIP format (PKWARE APPNOTE) to bundle a handful of generated files, e.g. a
+// data subject export. Entries are deflated with Node's zlib; no streaming and no ZIP64, so keep
+// bundles well under 4 GB.
+
+const zlib = require('zlib');
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS date/time as stored in ZIP headers
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Builds a ZIP archive from `files` ([{ name, content }], content a string or Buffer; use "/" in
+ * names for folders) and returns the archive as a Buffer.
+ */
+function createZip(files, modified = new Date()) {
+    const { time, date } = dosDateTime(modified);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(({ name, content }) => {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);   // local file header signature
+        local.writeUInt16LE(20, 4);           // version needed to extract
+        local.writeUInt16LE(0x0800, 6);       // flags: UTF-8 file names
+        local.writeUInt16LE(8, 8);            // compression: deflate
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        local.writeUInt16LE(0, 28);           // extra field length
+        localParts.push(local, nameBuffer, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0); // central directory header signature
+        central.writeUInt16LE(20, 4);         // version made by
+        central.writeUInt16LE(20, 6);         // version needed to extract
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        // extra length, comment length, disk number, internal and external attributes stay 0
+        central.writeUInt32LE(offset, 42);    // offset of the local header
+        centralParts.push(central, nameBuffer);
+
+        offset += local.length + nameBuffer.length + compressed.length;
+    });
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);         // end of central directory signature
+    end.writeUInt16LE(files.length, 8);       // entries on this disk
+    end.writeUInt16LE(files.length, 10);      // total entries
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);            // start of the central directory
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+module.exports = { createZip };
@@ -0,0 +1,31 @@
+-- Knowledge base ingestion
+-- The hybrid_search RPC used by ask.js reads embedded chunks from the `documents` table
+-- (content, fts, embedding). Each chunk now points back to the source document it was cut from.
+
+create table if not exists kb_sources (
+    id uuid primary key default gen_random_uuid(),
+    title text not null,
+    citation text,
+    doc_type text not null default 'act',       -- act | code | judgment | other
+    court text,                                  -- e.g. CCMA, Labour Court, Labour Appeal Court
+    document_date date,
+    file_name text,
+    raw_text text not null,                      -- kept so a source can be re-indexed without re-uploading
+    chunk_count integer not null default 0,
+    status text not null default 'indexing',     -- indexing | ready | failed
+    error text,
+    uploaded_by uuid references auth.users(id),
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+alter table documents add column if not exists source_id uuid references kb_sources(id) on delete cascade;
+alter table documents add column if not exists chunk_index integer;
+alter table documents add column if not exists metadata jsonb not null default '{}'::jsonb;
+
+create index if not exists documents_source_id_idx on documents(source_id);
+
+alter table kb_sources enable row level security;
+
+create policy "Staff can read knowledge base sources"
+    on kb_sources for select to authenticated using (true);
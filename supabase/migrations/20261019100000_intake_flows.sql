@@ -0,0 +1,19 @@
+-- Versioned intake conversation flows served to the chat UI by intake_flow.js
+create table if not exists intake_flows (
+    id uuid primary key default gen_random_uuid(),
+    version integer not null unique,
+    definition jsonb not null,
+    status text not null default 'draft',      -- draft | published | archived
+    notes text,
+    created_by uuid references auth.users(id),
+    created_at timestamptz not null default now(),
+    published_at timestamptz
+);
+
+-- Which flow version produced each case (0 = the built-in default flow)
+alter table cases add column if not exists flow_version integer;
+
+alter table intake_flows enable row level security;
+
+create policy "Staff can read intake flows"
+    on intake_flows for select to authenticated using (true);
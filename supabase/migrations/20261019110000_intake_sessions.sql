@@ -0,0 +1,21 @@
+-- Resumable intake sessions. A case row is created (status 'incomplete') on the first saved
+-- answer so partial intakes show up in the admin; the session keeps the chat state for resuming.
+create table if not exists intake_sessions (
+    id uuid primary key default gen_random_uuid(),
+    token_hash text not null unique,           -- sha256 of the resume token held by the browser
+    case_id uuid references cases(id) on delete cascade,
+    flow_version integer,
+    current_state text not null default 'START',
+    facts jsonb not null default '{}'::jsonb,
+    transcript jsonb not null default '[]'::jsonb,
+    result jsonb,                              -- { pitch, hasMerit } once evaluated
+    status text not null default 'in_progress', -- in_progress | evaluated | closed
+    resume_link_sent_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists intake_sessions_case_id_idx on intake_sessions(case_id);
+
+-- Only the service role (Netlify functions) touches sessions
+alter table intake_sessions enable row level security;
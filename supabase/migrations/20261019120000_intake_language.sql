@@ -0,0 +1,3 @@
+-- Language the client chose at the start of the intake (en, zu, xh, af, st), so a resumed
+-- session continues in the same language.
+alter table intake_sessions add column if not exists language text not null default 'en';
@@ -0,0 +1,30 @@
+-- Immutable history of every demand letter change: AI drafts, attorney edits, regenerations,
+-- status changes and restores. Rows are append-only; the trigger below rejects any UPDATE.
+create table if not exists letter_revisions (
+    id uuid primary key default gen_random_uuid(),
+    case_id uuid not null references cases(id) on delete cascade,
+    revision integer not null,                 -- 1, 2, 3 ... per case
+    action text not null,                      -- generated | regenerated | edited | status_changed | restored | sent
+    letter_text text not null default '',
+    letter_status text,                        -- the case's letter_status after this change
+    restored_from integer,                     -- revision number copied by a restore
+    author_id uuid references auth.users(id) on delete set null,
+    author_email text,                         -- kept so the history stays readable if the user is removed
+    created_at timestamptz not null default now(),
+    unique (case_id, revision)
+);
+
+create index if not exists letter_revisions_case_id_idx on letter_revisions(case_id, revision desc);
+
+create or replace function letter_revisions_immutable() returns trigger as $$
+begin
+    raise exception 'letter_revisions rows are immutable';
+end;
+$$ language plpgsql;
+
+drop trigger if exists letter_revisions_no_update on letter_revisions;
+create trigger letter_revisions_no_update before update on letter_revisions
+    for each row execute function letter_revisions_immutable();
+
+-- Only the service role (Netlify functions) reads or writes revisions
+alter table letter_revisions enable row level security;
@@ -0,0 +1,18 @@
+-- Staff roles for the admin panel: admin, attorney or paralegal. Every admin function checks
+-- this table (see netlify/functions/utils/auth.js); an account without a row has no access.
+create table if not exists staff_roles (
+    user_id uuid primary key references auth.users(id) on delete cascade,
+    role text not null check (role in ('admin', 'attorney', 'paralegal')),
+    assigned_by uuid references auth.users(id) on delete set null,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+-- Everyone who could sign in before roles existed had full access, so keep them working as admins.
+-- Re-assign attorneys and paralegals from the Staff screen afterwards.
+insert into staff_roles (user_id, role)
+select id, 'admin' from auth.users
+on conflict (user_id) do nothing;
+
+-- Only the service role (Netlify functions) reads or writes roles
+alter table staff_roles enable row level security;
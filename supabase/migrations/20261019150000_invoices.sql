@@ -0,0 +1,27 @@
+-- Fixed-fee invoices for demand letters. A case has at most one pending or paid invoice;
+-- voided invoices are kept for the record.
+create table if not exists invoices (
+    id uuid primary key default gen_random_uuid(),
+    case_id uuid not null references cases(id) on delete cascade,
+    amount_cents integer not null check (amount_cents > 0),
+    currency text not null default 'ZAR',
+    description text,
+    status text not null default 'pending',    -- pending | paid | void (a failed attempt leaves it pending)
+    gateway text not null,                     -- payment adapter that issued the link (e.g. stub)
+    gateway_reference text unique,
+    payment_url text,
+    link_sent_at timestamptz,
+    link_sent_count integer not null default 0,
+    paid_at timestamptz,
+    voided_at timestamptz,
+    voided_by uuid references auth.users(id) on delete set null,
+    webhook_payload jsonb,                     -- last callback from the gateway
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create unique index if not exists invoices_one_open_per_case on invoices(case_id) where status in ('pending', 'paid');
+create index if not exists invoices_case_id_idx on invoices(case_id);
+
+-- Only the service role (Netlify functions) touches invoices
+alter table invoices enable row level security;
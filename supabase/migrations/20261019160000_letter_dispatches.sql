@@ -0,0 +1,29 @@
+-- Every time an approved demand letter is emailed to the employer. The latest dispatch of a case
+-- starts the employer's 7-day response clock; recording a response stops it.
+create table if not exists letter_dispatches (
+    id uuid primary key default gen_random_uuid(),
+    case_id uuid not null references cases(id) on delete cascade,
+    recipient text not null,                   -- employer email address
+    cc text[] not null default '{}',           -- client copy (when the client gave an email address)
+    subject text not null,
+    letter_text text not null,                 -- exactly what was sent
+    attachment_name text,
+    transport text not null,                   -- mail transport that sent it (e.g. smtp, log)
+    message_id text,
+    status text not null,                      -- sent | delivered | failed
+    error text,
+    sent_at timestamptz,
+    delivered_at timestamptz,
+    response_due_date date,                    -- end of the employer's 7-day window
+    responded_at timestamptz,
+    response_notes text,
+    sent_by uuid references auth.users(id) on delete set null,
+    sent_by_email text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists letter_dispatches_case_id_idx on letter_dispatches(case_id, created_at desc);
+
+-- Only the service role (Netlify functions) touches dispatches
+alter table letter_dispatches enable row level security;
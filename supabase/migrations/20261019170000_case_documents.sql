@@ -0,0 +1,22 @@
+-- Documents drafted from the catalogue in netlify/functions/utils/document_types.js (grievance
+-- letters, hearing notes, LRA 7.11 referrals, condonation applications). A case can have any
+-- number of them. The demand letter itself stays on cases.draft_letter.
+create table if not exists case_documents (
+    id uuid primary key default gen_random_uuid(),
+    case_id uuid not null references cases(id) on delete cascade,
+    doc_type text not null,                    -- key in the document type catalogue
+    title text not null,
+    content text not null default '',
+    status text not null default 'pending_review',  -- pending_review | approved
+    created_by uuid references auth.users(id) on delete set null,
+    created_by_email text,
+    approved_by uuid references auth.users(id) on delete set null,
+    approved_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists case_documents_case_id_idx on case_documents(case_id, created_at desc);
+
+-- Only the service role (Netlify functions) touches documents
+alter table case_documents enable row level security;
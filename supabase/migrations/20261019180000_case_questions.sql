@@ -0,0 +1,18 @@
+-- Follow-up questions the client asked Justine between the assessment and their Yes/No decision,
+-- with the grounded answer they were shown. Read-only for the attorney in the admin panel.
+create table if not exists case_questions (
+    id uuid primary key default gen_random_uuid(),
+    case_id uuid not null references cases(id) on delete cascade,
+    question text not null,
+    answer text not null,
+    scope text not null,                       -- answered | needs_attorney | off_topic
+    sources jsonb not null default '[]'::jsonb, -- cited knowledge base extracts, same shape as case_facts.legal_sources
+    language text not null default 'en',
+    ai_meta jsonb,                             -- { provider, model }
+    created_at timestamptz not null default now()
+);
+
+create index if not exists case_questions_case_id_idx on case_questions(case_id, created_at);
+
+-- Only the service role (Netlify functions) touches questions
+alter table case_questions enable row level security;
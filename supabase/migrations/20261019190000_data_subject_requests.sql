@@ -0,0 +1,19 @@
+-- POPIA: audit trail of data subject exports, erasures and anonymisations, plus the daily
+-- retention purge of declined cases. Only case ids are recorded, never the personal details.
+create table if not exists data_subject_requests (
+    id uuid primary key default gen_random_uuid(),
+    action text not null,                      -- export | erase | anonymise | retention_purge
+    case_ids uuid[] not null default '{}',
+    performed_by uuid references auth.users(id) on delete set null,
+    performed_by_email text,                   -- 'system' for the scheduled purge
+    details jsonb,                             -- e.g. { format } or { retention_days }
+    created_at timestamptz not null default now()
+);
+
+create index if not exists data_subject_requests_created_at_idx on data_subject_requests(created_at desc);
+
+-- Set when a case's identifying details have been stripped
+alter table cases add column if not exists anonymised_at timestamptz;
+
+-- Only the service role (Netlify functions) touches the audit trail
+alter table data_subject_requests enable row level security;
@@ -0,0 +1,25 @@
+-- Documents the client uploads during the intake (dismissal letters, hearing notices, payslips,
+-- warnings). The files live in the private `case-evidence` storage bucket; the text extracted
+-- from them on upload is kept here for the merit evaluation. See netlify/functions/utils/evidence.js.
+create table if not exists case_evidence (
+    id uuid primary key default gen_random_uuid(),
+    case_id uuid not null references cases(id) on delete cascade,
+    session_id uuid references intake_sessions(id) on delete set null,
+    file_name text not null,                   -- as uploaded, cleaned
+    mime_type text not null,                   -- application/pdf | text/plain | image/jpeg | image/png
+    size_bytes integer not null,
+    storage_path text not null unique,         -- <case_id>/<uuid>.<ext> in the case-evidence bucket
+    extracted_text text,
+    extraction_status text not null,           -- extracted | no_text | failed
+    created_at timestamptz not null default now()
+);
+
+create index if not exists case_evidence_case_id_idx on case_evidence(case_id, created_at);
+
+-- Only the service role (Netlify functions) touches evidence rows
+alter table case_evidence enable row level security;
+
+-- Private bucket: no public URLs; staff get short-lived signed URLs from the case_evidence function
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values ('case-evidence', 'case-evidence', false, 4194304, array['application/pdf', 'text/plain', 'image/jpeg', 'image/png'])
+on conflict (id) do nothing;
@@ -0,0 +1,22 @@
+-- Versioned LLM prompt templates edited in the admin prompt editor (prompt_templates.js).
+-- One version series per template_key: "evaluate" or a document type key such as "demand_letter".
+create table if not exists prompt_templates (
+    id uuid primary key default gen_random_uuid(),
+    template_key text not null,
+    version integer not null,
+    body text not null,
+    status text not null default 'draft',      -- draft | published | archived
+    notes text,
+    created_by uuid references auth.users(id),
+    created_at timestamptz not null default now(),
+    published_at timestamptz,
+    unique (template_key, version)
+);
+
+-- Which template version produced each assessment and draft (0 = the built-in wording)
+alter table cases add column if not exists evaluation_prompt_version integer;
+alter table cases add column if not exists letter_prompt_version integer;
+alter table case_documents add column if not exists prompt_version integer;
+
+-- Only the service role (Netlify functions) reads or writes templates
+alter table prompt_templates enable row level security;
@@ -0,0 +1,3 @@
+-- How many resume links a session has sent, so the public send_link action cannot be used to
+-- message arbitrary numbers or addresses over and over.
+alter table intake_sessions add column if not exists resume_links_sent integer not null default 0;
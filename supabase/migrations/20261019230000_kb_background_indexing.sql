@@ -0,0 +1,6 @@
+-- Knowledge base documents are indexed by a background function. Each run tags the chunks it writes,
+-- so a failed run can remove exactly its own chunks and a successful one can drop the previous set.
+alter table kb_sources add column if not exists index_run uuid;     -- the run currently allowed to write chunks
+alter table documents add column if not exists index_run uuid;
+
+create index if not exists documents_source_run_idx on documents(source_id, index_run);